@@ -0,0 +1,147 @@
+// blockchain-server/src/account-state.js
+
+const { TRANSACTION_TYPE_ISSUE } = require('./assets');
+
+// 账户状态：记录每个地址已确认的余额和nonce，随区块追加增量更新
+class AccountState {
+  constructor() {
+    // 地址 -> { balance, nonce }，balance 为原生币余额（最小单位的 BigInt）
+    this.accounts = new Map();
+    // 流通总量（所有奖励交易发行的币）
+    this.totalSupply = 0n;
+    // 代币标识 -> { id, symbol, name, decimals, supply, issuer, blockIndex, txHash }
+    this.assets = new Map();
+    // 代币符号 -> 代币标识
+    this.assetSymbols = new Map();
+    // 代币标识 -> (地址 -> 余额)
+    this.assetBalances = new Map();
+  }
+
+  // 根据整条链构建账户状态
+  static fromChain(chain) {
+    const state = new AccountState();
+    for (const block of chain) {
+      state.applyBlock(block);
+    }
+    return state;
+  }
+
+  getAccount(address) {
+    if (!this.accounts.has(address)) {
+      this.accounts.set(address, { balance: 0n, nonce: 0 });
+    }
+    return this.accounts.get(address);
+  }
+
+  // 地址在某种资产上的余额，asset 为 null 时是原生币
+  getBalance(address, asset = null) {
+    if (asset !== null) {
+      const balances = this.assetBalances.get(asset);
+      return balances && balances.has(address) ? balances.get(address) : 0n;
+    }
+    const account = this.accounts.get(address);
+    return account ? account.balance : 0n;
+  }
+
+  addBalance(address, asset, delta) {
+    if (asset === null) {
+      this.getAccount(address).balance += delta;
+      return;
+    }
+    if (!this.assetBalances.has(asset)) {
+      this.assetBalances.set(asset, new Map());
+    }
+    const balances = this.assetBalances.get(asset);
+    balances.set(address, (balances.get(address) || 0n) + delta);
+  }
+
+  getAsset(asset) {
+    return this.assets.get(asset) || null;
+  }
+
+  getAssetBySymbol(symbol) {
+    return this.assetSymbols.has(symbol) ? this.getAsset(this.assetSymbols.get(symbol)) : null;
+  }
+
+  // 按发行顺序列出全部代币
+  getAssets() {
+    return Array.from(this.assets.values());
+  }
+
+  // 地址持有的全部代币余额
+  getAssetBalances(address) {
+    const result = [];
+    for (const [asset, balances] of this.assetBalances) {
+      if (balances.get(address) > 0n) {
+        result.push({ asset, balance: balances.get(address) });
+      }
+    }
+    return result;
+  }
+
+  // 持有某种代币的地址数
+  getAssetHolderCount(asset) {
+    const balances = this.assetBalances.get(asset);
+    return balances ? Array.from(balances.values()).filter((balance) => balance > 0n).length : 0;
+  }
+
+  getNonce(address) {
+    const account = this.accounts.get(address);
+    return account ? account.nonce : 0;
+  }
+
+  // 把区块中的交易依次应用到账户状态
+  applyBlock(block) {
+    for (const tx of block.transactions) {
+      if (tx.fromAddress === null) {
+        this.totalSupply += tx.amount;
+      } else {
+        for (const asset of tx.getSpentAssets()) {
+          this.addBalance(tx.fromAddress, asset, -tx.getCost(asset));
+        }
+        // 手续费由奖励交易重新发放，不计入流通总量的增加
+        this.totalSupply -= tx.fee;
+        this.getAccount(tx.fromAddress).nonce += 1;
+      }
+
+      if (tx.type === TRANSACTION_TYPE_ISSUE) {
+        this.assets.set(tx.asset, {
+          id: tx.asset,
+          ...tx.token,
+          supply: tx.amount,
+          issuer: tx.fromAddress,
+          blockIndex: block.index,
+          txHash: tx.calculateHash()
+        });
+        this.assetSymbols.set(tx.token.symbol, tx.asset);
+      }
+      this.addBalance(tx.toAddress, tx.asset, tx.amount);
+    }
+  }
+
+  // 余额最多的地址
+  getTopHolders(limit) {
+    return Array.from(this.accounts, ([address, account]) => ({
+      address,
+      balance: account.balance
+    }))
+      .filter((holder) => holder.balance > 0n)
+      .sort((a, b) => (a.balance === b.balance ? 0 : a.balance < b.balance ? 1 : -1))
+      .slice(0, limit);
+  }
+
+  // 持有余额的地址数
+  getHolderCount() {
+    let count = 0;
+    for (const account of this.accounts.values()) {
+      if (account.balance > 0n) {
+        count++;
+      }
+    }
+    return count;
+  }
+}
+
+module.exports = {
+  AccountState
+};
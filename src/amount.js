@@ -0,0 +1,79 @@
+// blockchain-server/src/amount.js
+// 金额统一以整数最小单位保存和计算，内部使用 BigInt，避免浮点数相加留下零头和大数丢失精度。
+//   - 原生币：1 个币 = 10^amountDecimals 个最小单位，小数位数在网络配置中（见 network.js）
+//   - 代币：以代币自己的 decimals 换算，发行信息中的 decimals 决定最小单位
+// 交易数据（签名、存储和节点间传输）中金额是最小单位的十进制整数字符串，例如 "1050000000"；
+// API 中的余额和金额使用带小数点的十进制字符串，例如 "10.5"。
+
+// 未指定小数位数时使用的默认值（网络配置未设置 amountDecimals 时也使用该值）
+const DEFAULT_AMOUNT_DECIMALS = 8;
+const MAX_DECIMALS = 18;
+
+// 单笔金额和余额的上限：有符号 64 位整数的最大值
+const MAX_AMOUNT = 2n ** 63n - 1n;
+
+// 金额是否在 [0, MAX_AMOUNT] 范围内
+function isValidAmount(value) {
+  return typeof value === 'bigint' && value >= 0n && value <= MAX_AMOUNT;
+}
+
+function checkRange(value, input) {
+  if (value > MAX_AMOUNT) {
+    throw new Error(`金额超出上限: ${input}`);
+  }
+  return value;
+}
+
+// 解析 API 中的十进制金额（字符串，或不使用科学计数法的数字），返回最小单位的 BigInt
+function parseAmount(value, decimals = DEFAULT_AMOUNT_DECIMALS) {
+  const text = typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+  const match = typeof text === 'string' ? /^(\d+)(?:\.(\d+))?$/.exec(text) : null;
+  if (!match) {
+    throw new Error(`无效的金额: ${value}`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new Error(`金额 ${value} 的小数位数超过 ${decimals} 位`);
+  }
+  return checkRange(BigInt(whole + fraction.padEnd(decimals, '0')), value);
+}
+
+// 把最小单位的 BigInt 格式化为十进制字符串，去掉小数末尾的 0
+function formatAmount(value, decimals = DEFAULT_AMOUNT_DECIMALS) {
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// 解析交易数据中的最小单位整数（十进制整数字符串或 BigInt）
+function parseBaseUnits(value) {
+  if (typeof value === 'bigint') {
+    return checkRange(value, value);
+  }
+  if (typeof value !== 'string' || !/^(0|[1-9]\d*)$/.test(value)) {
+    throw new Error(`无效的金额: ${value}`);
+  }
+  return checkRange(BigInt(value), value);
+}
+
+// 旧版本交易中以币为单位的数字金额换算为最小单位，超出精度的部分四舍五入
+function fromLegacyAmount(value, decimals = DEFAULT_AMOUNT_DECIMALS) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`无效的金额: ${value}`);
+  }
+  return parseAmount(value.toFixed(decimals), decimals);
+}
+
+module.exports = {
+  DEFAULT_AMOUNT_DECIMALS,
+  MAX_DECIMALS,
+  MAX_AMOUNT,
+  isValidAmount,
+  parseAmount,
+  formatAmount,
+  parseBaseUnits,
+  fromLegacyAmount
+};
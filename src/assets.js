@@ -0,0 +1,51 @@
+// blockchain-server/src/assets.js
+// 链上代币：任何地址都可以发行带符号的代币，发行本身是一笔签名交易（type 为 'issue'），
+// 发行量记入接收方地址。之后的转账在交易中用 asset 字段指明代币标识，手续费始终以原生币支付。
+// 代币金额以最小单位计，必须是正整数；API 中按代币的 decimals 换算为带小数的字符串。
+const crypto = require('crypto');
+const { canonicalize } = require('./serialization');
+const { isValidAmount } = require('./amount');
+
+const TRANSACTION_TYPE_ISSUE = 'issue';
+const MAX_TOKEN_NAME_LENGTH = 64;
+const MAX_TOKEN_DECIMALS = 18;
+
+// 代币标识由发行方地址和发行交易的nonce决定，同一发行方的每次发行都不同
+function getAssetId(issuer, nonce) {
+  return crypto
+    .createHash('sha256')
+    .update(canonicalize({ type: 'asset', issuer, nonce }))
+    .digest('hex');
+}
+
+// 校验代币信息，返回规范化后的 { symbol, name, decimals }
+function normalizeTokenMetadata(token) {
+  if (!token || typeof token !== 'object') {
+    throw new Error('代币信息必须提供');
+  }
+
+  const { symbol, name = '', decimals = 0 } = token;
+  if (typeof symbol !== 'string' || !/^[A-Z][A-Z0-9]{1,9}$/.test(symbol)) {
+    throw new Error('代币符号必须是 2 到 10 位大写字母或数字，并以字母开头');
+  }
+  if (typeof name !== 'string' || name.length > MAX_TOKEN_NAME_LENGTH) {
+    throw new Error(`代币名称必须是不超过 ${MAX_TOKEN_NAME_LENGTH} 个字符的字符串`);
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_TOKEN_DECIMALS) {
+    throw new Error(`代币小数位数必须是 0 到 ${MAX_TOKEN_DECIMALS} 之间的整数`);
+  }
+
+  return { symbol, name, decimals };
+}
+
+// 代币金额（发行量和转账金额）必须是不超过上限的正整数（最小单位的 BigInt）
+function isValidTokenAmount(amount) {
+  return isValidAmount(amount) && amount > 0n;
+}
+
+module.exports = {
+  TRANSACTION_TYPE_ISSUE,
+  getAssetId,
+  normalizeTokenMetadata,
+  isValidTokenAmount
+};
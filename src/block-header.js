@@ -0,0 +1,67 @@
+// blockchain-server/src/block-header.js
+// 区块头哈希：只覆盖区块头字段（交易通过 Merkle 根间接覆盖），轻客户端无需下载交易即可验证
+const { hashMeetsDifficulty } = require('./difficulty');
+const { hashBlockHeader } = require('./serialization');
+
+// 区块时间戳最多允许超前本地时间多少毫秒
+const MAX_FUTURE_BLOCK_TIME = 2 * 60 * 60 * 1000;
+
+// 计算区块头哈希（按区块版本使用规范化编码）
+function calculateBlockHash(header) {
+  return hashBlockHeader(header);
+}
+
+// 提取区块头（不含交易）
+function getBlockHeader(block) {
+  return {
+    version: block.version,
+    index: block.index,
+    timestamp: block.timestamp,
+    previousHash: block.previousHash,
+    merkleRoot: block.merkleRoot,
+    nonce: block.nonce,
+    difficulty: block.difficulty,
+    hash: block.hash
+  };
+}
+
+// 校验区块头能否接在前一个区块头之后，返回错误原因，有效时返回 null
+// 全节点校验区块和轻客户端同步区块头使用同一套规则
+function getHeaderError(header, previousHeader, expectedDifficulty) {
+  // 验证区块高度连续
+  if (header.index !== previousHeader.index + 1) {
+    return '区块高度不连续';
+  }
+
+  // 验证区块哈希
+  if (header.hash !== calculateBlockHash(header)) {
+    return '区块哈希无效';
+  }
+
+  // 验证区块时间戳，难度调整依赖时间戳
+  if (header.timestamp < previousHeader.timestamp || header.timestamp > Date.now() + MAX_FUTURE_BLOCK_TIME) {
+    return '区块时间戳无效';
+  }
+
+  // 验证难度和工作量证明
+  if (header.difficulty !== expectedDifficulty) {
+    return '区块难度无效';
+  }
+
+  if (!hashMeetsDifficulty(header.hash, header.difficulty)) {
+    return '区块工作量证明无效';
+  }
+
+  // 验证区块链接
+  if (header.previousHash !== previousHeader.hash) {
+    return '区块链接无效';
+  }
+
+  return null;
+}
+
+module.exports = {
+  calculateBlockHash,
+  getBlockHeader,
+  getHeaderError
+};
@@ -1,62 +1,250 @@
 // blockchain-server/src/blockchain.js (修复签名验证)
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const secp256k1 = require('secp256k1');
 const { Buffer } = require('buffer');
+const { calculateTransactionHash, getAddressFromPublicKey } = require('./signer');
+const { ChainIndex } = require('./chain-index');
+const { AccountState } = require('./account-state');
+const { computeMerkleRoot, getMerkleProof } = require('./merkle');
+const { calculateBlockHash, getBlockHeader, getHeaderError } = require('./block-header');
+const { getMultisigAddress, verifyMultisigSignatures, recoverPublicKey } = require('./multisig');
+const {
+  TRANSACTION_TYPE_ISSUE,
+  getAssetId,
+  normalizeTokenMetadata,
+  isValidTokenAmount
+} = require('./assets');
+const {
+  TRANSACTION_VERSION,
+  BLOCK_VERSION,
+  LEGACY_BLOCK_LAYOUT_BASIC,
+  LEGACY_BLOCK_DIFFICULTY,
+  getLegacyTransactionLayout,
+  hasLegacyNonce,
+  hasLegacyFee,
+  getLegacyBlockLayout,
+  hashesTransactions,
+  canonicalize,
+  hashCancelRequest
+} = require('./serialization');
+const {
+  DEFAULT_AMOUNT_DECIMALS,
+  isValidAmount,
+  formatAmount,
+  parseBaseUnits,
+  fromLegacyAmount
+} = require('./amount');
+const {
+  hashMeetsDifficulty,
+  getDifficultyForHeight
+} = require('./difficulty');
+const { loadNetworkConfig } = require('./network');
+
+// 交易池为空时估算手续费使用的交易大小（字节）
+const DEFAULT_TRANSACTION_SIZE = 300;
+// 估算费率时在边界费率上加价的比例，保证能挤进区块
+const FEE_RATE_BUMP = 1.1;
+// 替换待处理交易时手续费至少提高的百分比，防止用极小的加价反复刷新交易池
+const REPLACEMENT_FEE_BUMP_PERCENT = 10n;
+// 每个发送方在交易池中最多的待处理交易数
+const DEFAULT_MAX_PENDING_PER_SENDER = 25;
+// 待处理交易的有效期（毫秒），超过后从交易池中移除
+const DEFAULT_PENDING_TRANSACTION_TTL = 24 * 60 * 60 * 1000;
+// 交易时间戳最多可以比本地时间超前多少（毫秒），防止伪造时间戳绕过有效期
+const MAX_FUTURE_TRANSACTION_TIME = 2 * 60 * 60 * 1000;
+// 分叉区块最多保留到比最新区块低多少个高度，更深的分叉不会再被切换
+const MAX_FORK_DEPTH = 100;
+// 最多保留的分叉区块数，以及其中来自同一个节点的分叉区块数
+const MAX_FORK_BLOCKS = 1000;
+const MAX_FORK_BLOCKS_PER_SOURCE = 200;
+// 保留的重组记录条数
+const MAX_REORG_HISTORY = 50;
+
+// 按 (资产, 地址) 记录余额变化时使用的键，原生币直接使用地址
+function getBalanceKey(address, asset) {
+  return asset === null ? address : `${asset}:${address}`;
+}
+
+// 交易相对于某个地址的方向
+function getDirection(tx, address) {
+  if (tx.fromAddress === address && tx.toAddress === address) {
+    return 'self';
+  }
+  return tx.fromAddress === address ? 'sent' : 'received';
+}
 
 // 区块结构
 class Block {
-  constructor(index, timestamp, transactions, previousHash = '') {
+  constructor(index, timestamp, transactions, previousHash = '', difficulty = 1) {
+    // 编码格式版本，决定区块头哈希的计算方式
+    this.version = BLOCK_VERSION;
+    // 版本 0 区块的布局（见 serialization.js），加载历史数据时按字段判断，新区块为 null
+    this.legacyLayout = null;
     this.index = index;
     this.timestamp = timestamp;
     this.transactions = transactions;
     this.previousHash = previousHash;
+    // 该高度适用的难度，计入区块哈希
+    this.difficulty = difficulty;
+    // 交易哈希的 Merkle 根，区块哈希通过它覆盖所有交易
+    this.merkleRoot = this.calculateMerkleRoot();
     this.hash = this.calculateHash();
     this.nonce = 0;
   }
 
-  // 计算区块哈希
+  // 计算区块哈希（只覆盖区块头）
   calculateHash() {
-    return crypto
-      .createHash('sha256')
-      .update(
-        this.index +
-        this.timestamp +
-        JSON.stringify(this.transactions) +
-        this.previousHash +
-        this.nonce
-      )
-      .digest('hex');
+    return calculateBlockHash(this);
+  }
+
+  // 根据交易计算 Merkle 根
+  calculateMerkleRoot() {
+    return computeMerkleRoot(this.transactions.map((tx) => tx.calculateHash()));
+  }
+
+  // 区块中是否有重复的交易：Merkle 树在奇数层复制最后一个节点，[a, b, c] 与 [a, b, c, c] 的根相同，
+  // 有重复交易的区块一律无效，同一个区块哈希只对应一组交易
+  hasDuplicateTransactions() {
+    const hashes = this.transactions.map((tx) => tx.calculateHash());
+    return new Set(hashes).size !== hashes.length;
+  }
+
+  // 区块头（不含交易）
+  getHeader() {
+    return getBlockHeader(this);
+  }
+
+  // 生成交易在本区块中的 Merkle 包含证明
+  getTransactionProof(position) {
+    return getMerkleProof(this.transactions.map((tx) => tx.calculateHash()), position);
+  }
+
+  // 检查区块哈希是否满足区块头中的难度
+  meetsDifficulty() {
+    return hashMeetsDifficulty(this.hash, this.difficulty);
   }
 
   // 挖矿方法 - 工作量证明 (PoW)
-  mineBlock(difficulty) {
+  mineBlock() {
     console.log('开始挖矿...');
-    while (
-      this.hash.substring(0, difficulty) !== Array(difficulty + 1).join('0')
-    ) {
+    this.hash = this.calculateHash();
+    while (!this.meetsDifficulty()) {
       this.nonce++;
       this.hash = this.calculateHash();
     }
     console.log(`区块已挖出! 哈希: ${this.hash}`);
   }
+
+  // 从持久化数据恢复区块实例
+  static fromJSON(data) {
+    const transactions = (data.transactions || []).map((tx) => Transaction.fromJSON(tx));
+    const block = new Block(
+      data.index,
+      data.timestamp,
+      transactions,
+      data.previousHash,
+      data.difficulty
+    );
+    // 旧数据没有版本字段，按版本 0 校验
+    block.version = data.version || 0;
+    if (block.version === 0) {
+      block.legacyLayout = getLegacyBlockLayout(data);
+    }
+    if (block.legacyLayout === LEGACY_BLOCK_LAYOUT_BASIC) {
+      block.difficulty = LEGACY_BLOCK_DIFFICULTY;
+    }
+    // 保留存储中的 Merkle 根，校验时再与交易重新计算的结果比较；
+    // Merkle 根之前的布局没有该字段，按交易计算，只用于索引和包含证明
+    block.merkleRoot = hashesTransactions(block) ? block.calculateMerkleRoot() : data.merkleRoot;
+    block.nonce = data.nonce;
+    block.hash = data.hash;
+    return block;
+  }
+
+  // 存储和网络传输使用的字段，旧布局的区块不输出当时还没有的字段，重新加载后仍按原布局校验
+  toJSON() {
+    return {
+      ...this.getHeader(),
+      difficulty: this.legacyLayout === LEGACY_BLOCK_LAYOUT_BASIC ? undefined : this.difficulty,
+      merkleRoot: hashesTransactions(this) ? undefined : this.merkleRoot,
+      transactions: this.transactions
+    };
+  }
 }
 
 // 交易结构
 class Transaction {
-  constructor(fromAddress, toAddress, amount) {
+  constructor(fromAddress, toAddress, amount, nonce = 0, fee = 0n) {
+    // 编码格式版本，决定交易哈希的计算方式
+    this.version = TRANSACTION_VERSION;
+    // 交易类型：null 为转账，'issue' 为发行代币
+    this.type = null;
     this.fromAddress = fromAddress;
     this.toAddress = toAddress;
+    // 金额和手续费都是最小单位的 BigInt
     this.amount = amount;
+    // 转移的资产：null 为原生币，否则为代币标识；发行交易中为新代币的标识
+    this.asset = null;
+    // 发行交易的代币信息 { symbol, name, decimals }
+    this.token = null;
+    // 交易手续费，归打包该交易的矿工所有
+    this.fee = fee;
+    // 发送方账户序号，从0开始逐笔递增，防止交易被重放
+    this.nonce = nonce;
+    // 时间锁：交易只能被打包进高度不低于 lockHeight、时间戳不早于 lockTime（毫秒）的区块，0 表示不限制
+    this.lockHeight = 0;
+    this.lockTime = 0;
     this.timestamp = Date.now();
     this.signature = null;
+    // 多签地址转出时携带签名策略 { threshold, publicKeys } 和多个签名，普通交易为 null
+    this.multisig = null;
+    this.signatures = null;
+    // 所属网络的链标识，版本 3 起参与哈希计算，防止交易在其他网络重放（旧版本交易为 null）
+    this.chainId = null;
+    // 旧版本交易中原始的数字金额和手续费 { amount, fee }，用于计算哈希和存储，新交易为 null
+    this.legacyAmounts = null;
+    // 版本 0 交易的布局（见 serialization.js），加载历史数据时按字段判断，新交易为 null
+    this.legacyLayout = null;
   }
 
   // 计算交易哈希
   calculateHash() {
-    return crypto
-      .createHash('sha256')
-      .update(this.fromAddress + this.toAddress + this.amount + this.timestamp)
-      .digest('hex');
+    return calculateTransactionHash(this);
+  }
+
+  // 发送方在某种资产上的支出：手续费总是原生币，转账金额计入所转的资产，发行交易不花费代币
+  getCost(asset = null) {
+    let cost = asset === null ? this.fee : 0n;
+    if (this.type !== TRANSACTION_TYPE_ISSUE && this.asset === asset) {
+      cost += this.amount;
+    }
+    return cost;
+  }
+
+  // 发送方的原生币总支出：转账金额加手续费
+  getTotalCost() {
+    return this.getCost(null);
+  }
+
+  // 发送方需要检查余额的资产
+  getSpentAssets() {
+    return this.asset !== null && this.type !== TRANSACTION_TYPE_ISSUE ? [null, this.asset] : [null];
+  }
+
+  // 时间锁未到期时不能被打包进指定高度和时间戳的区块
+  isLockedAt(height, timestamp) {
+    return this.lockHeight > height || this.lockTime > timestamp;
+  }
+
+  // 交易序列化后的字节数
+  getSize() {
+    return Buffer.byteLength(canonicalize(this));
+  }
+
+  // 手续费率（每字节的最小单位数），用于打包时排序
+  getFeeRate() {
+    return Number(this.fee) / this.getSize();
   }
 
   // 签名交易 - 修复版本
@@ -105,6 +293,10 @@ class Transaction {
     // 挖矿奖励交易不需要签名
     if (this.fromAddress === null) return true;
 
+    if (this.multisig) {
+      return this.isMultisigValid();
+    }
+
     if (!this.signature || !this.signature.signature) {
       console.error('未找到交易签名');
       return false;
@@ -154,21 +346,271 @@ class Transaction {
       return false;
     }
   }
+
+  // 验证多签交易：签名策略必须推导出发送方地址，且有足够多的不同公钥签名
+  isMultisigValid() {
+    try {
+      if (getMultisigAddress(this.multisig) !== this.fromAddress) {
+        console.error('多签策略与发送方地址不匹配');
+        return false;
+      }
+
+      const isSignatureValid = verifyMultisigSignatures(this.calculateHash(), this.multisig, this.signatures);
+      console.log('多签验证结果:', isSignatureValid);
+      return isSignatureValid;
+    } catch (error) {
+      console.error('验证多签交易时出错:', error.message);
+      return false;
+    }
+  }
+
+  // 从持久化数据恢复交易实例，金额格式无效时报错
+  static fromJSON(data) {
+    // 旧数据没有版本字段，按版本 0 校验
+    const version = data.version || 0;
+    let amount;
+    let fee;
+    let legacyAmounts = null;
+    if (version >= 2) {
+      amount = parseBaseUnits(data.amount);
+      fee = parseBaseUnits(data.fee === undefined ? '0' : data.fee);
+    } else {
+      // 旧版本的原生币金额以币为单位，代币金额本来就是最小单位的整数。
+      // 旧版本交易只出现在 legacy 网络的链上，按当时默认的小数位数换算
+      legacyAmounts = { amount: data.amount, fee: data.fee || 0 };
+      amount = fromLegacyAmount(data.amount, data.asset ? 0 : DEFAULT_AMOUNT_DECIMALS);
+      fee = fromLegacyAmount(legacyAmounts.fee);
+    }
+
+    const transaction = new Transaction(data.fromAddress, data.toAddress, amount, data.nonce, fee);
+    transaction.version = version;
+    transaction.legacyAmounts = legacyAmounts;
+    if (version === 0) {
+      transaction.legacyLayout = getLegacyTransactionLayout(data);
+    }
+    transaction.type = data.type || null;
+    transaction.chainId = version >= 3 ? data.chainId || null : null;
+    transaction.asset = data.asset || null;
+    transaction.token = data.token || null;
+    transaction.lockHeight = data.lockHeight || 0;
+    transaction.lockTime = data.lockTime || 0;
+    transaction.timestamp = data.timestamp;
+    transaction.signature = data.signature || null;
+    transaction.multisig = data.multisig || null;
+    transaction.signatures = data.signatures || null;
+    return transaction;
+  }
+
+  // 存储和网络传输使用的字段，金额编码为最小单位的整数字符串；
+  // 旧布局的交易不输出当时还没有的字段，重新加载后仍按原布局校验
+  toJSON() {
+    const { amount, fee } = this.legacyAmounts || { amount: this.amount.toString(), fee: this.fee.toString() };
+    return {
+      version: this.version,
+      chainId: this.chainId || undefined,
+      type: this.type || undefined,
+      fromAddress: this.fromAddress,
+      toAddress: this.toAddress,
+      amount,
+      asset: this.asset || undefined,
+      token: this.token || undefined,
+      fee: hasLegacyFee(this) ? fee : undefined,
+      nonce: hasLegacyNonce(this) ? this.nonce : undefined,
+      lockHeight: this.lockHeight || undefined,
+      lockTime: this.lockTime || undefined,
+      timestamp: this.timestamp,
+      signature: this.signature,
+      // 普通交易不输出多签字段，保持原有编码不变
+      multisig: this.multisig || undefined,
+      signatures: this.signatures || undefined
+    };
+  }
 }
 
 // 区块链结构
-class Blockchain {
-  constructor() {
+// 事件:
+//   'transaction'    新交易进入交易池
+//   'pendingChanged' 交易池内容发生变化
+//   'block'          新区块被追加到链上
+//   'chainReplaced'  本地链被替换，附带分叉点高度和新接入主链的区块 { forkHeight, connected }
+//   'reorg'          发生链重组，附带重组记录
+//   'transactionsRemoved' 交易因被替换、过期或撤销离开交易池，附带交易列表和原因
+class Blockchain extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // 网络配置（见 network.js），未提供时使用 devnet
+    this.network = options.network || loadNetworkConfig();
+    this.chainId = this.network.chainId;
+    // 原生币的小数位数，用于格式化错误信息中的金额
+    this.amountDecimals = this.network.amountDecimals;
+    // 难度参数：初始难度、目标出块时间和调整间隔
+    this.difficultyParams = this.network.difficulty;
     // 初始化区块链数组和未确认交易
     this.chain = [this.createGenesisBlock()];
-    this.difficulty = 2; // 降低难度以便测试
     this.pendingTransactions = [];
-    this.miningReward = 100; // 挖矿奖励
+    // 每个区块最多打包的交易数（不含奖励交易）
+    this.maxTransactionsPerBlock = options.maxTransactionsPerBlock || 100;
+    // 交易池限制：每个发送方的待处理交易数和交易的有效期
+    this.maxPendingPerSender = options.maxPendingPerSender || DEFAULT_MAX_PENDING_PER_SENDER;
+    this.pendingTransactionTTL = options.pendingTransactionTTL || DEFAULT_PENDING_TRANSACTION_TTL;
+    // 可选的持久化存储，未提供时仅保存在内存中
+    this.storage = options.storage || null;
+    // 区块、交易和地址索引
+    this.chainIndex = new ChainIndex();
+    this.chainIndex.rebuild(this.chain);
+    // 账户余额和nonce，追加区块时增量更新
+    this.accountState = AccountState.fromChain(this.chain);
+    // 不在主链上的分叉区块：区块哈希 -> Block，累计工作量超过主链时切换过去
+    this.forkBlocks = new Map();
+    // 分叉区块的来源节点：区块哈希 -> 来源，用于限制单个节点提交的分叉区块数
+    this.forkBlockSources = new Map();
+    // 最近的链重组记录
+    this.reorgHistory = [];
   }
 
-  // 创建创世区块
+  // 从持久化存储加载区块链和待处理交易
+  loadFromStorage() {
+    if (!this.storage) {
+      return false;
+    }
+
+    const blocks = this.storage.loadBlocks();
+    const { fromStorage } = this.network.genesis;
+
+    // 新节点：把创世区块写入存储
+    if (blocks.length === 0) {
+      if (fromStorage) {
+        throw new Error(`网络 ${this.network.name} 沿用数据目录中已有的创世区块，不能用于新的数据目录`);
+      }
+      this.storage.saveBlock(this.chain[0]);
+      this.storage.savePendingTransactions(this.pendingTransactions);
+      console.log('未找到已保存的区块链，已初始化新的存储');
+      return false;
+    }
+
+    const chain = blocks.map((data) => Block.fromJSON(data));
+    if (!fromStorage && chain[0].hash !== this.chain[0].hash) {
+      // 引入网络配置之前的链，创世区块是启动时随机生成的旧版本区块
+      if (chain[0].version < BLOCK_VERSION) {
+        throw new Error(`存储中的区块链由引入网络配置之前的版本创建，创世区块与网络 ${this.network.name} 不同。设置 NETWORK=legacy 可以继续使用该数据目录，或者使用新的数据目录`);
+      }
+      throw new Error(`存储中的创世区块与网络 ${this.network.name} 的配置不一致，请检查网络配置或使用新的数据目录`);
+    }
+    this.chain = chain;
+
+    // 启动前完整校验，拒绝加载被篡改或损坏的链
+    if (!this.isChainValid()) {
+      throw new Error('存储中的区块链校验失败，拒绝启动');
+    }
+    this.chainIndex.rebuild(this.chain);
+    this.accountState = AccountState.fromChain(this.chain);
+
+    const pending = this.storage.loadPendingTransactions().map((data) => Transaction.fromJSON(data));
+    this.pendingTransactions = pending.filter((tx) => {
+      if (!tx.isValid()) {
+        console.warn('丢弃存储中签名无效的待处理交易:', tx.calculateHash());
+        return false;
+      }
+      return true;
+    });
+    this.prunePendingTransactions();
+
+    console.log(`已从存储加载 ${this.chain.length} 个区块，${this.pendingTransactions.length} 笔待处理交易`);
+    return true;
+  }
+
+  // 交易池变化后持久化并通知监听者
+  onPendingTransactionsChanged() {
+    if (this.storage) {
+      this.storage.savePendingTransactions(this.pendingTransactions);
+    }
+    this.emit('pendingChanged', this.pendingTransactions);
+  }
+
+  // 创建创世区块：时间戳和预分配由网络配置确定，同一网络的所有节点得到相同的区块
   createGenesisBlock() {
-    return new Block(0, Date.now(), [], '0');
+    if (this.network.genesis.fromStorage) {
+      // 占位的创世区块，加载存储时替换为数据目录中已有的创世区块
+      return new Block(0, 0, [], '0', this.difficultyParams.initialDifficulty);
+    }
+    const { timestamp, allocations } = this.network.genesis;
+
+    // 预分配以奖励交易的形式记入创世区块
+    const transactions = allocations.map(({ address, amount }) => {
+      const tx = new Transaction(null, address, amount);
+      tx.chainId = this.chainId;
+      tx.timestamp = timestamp;
+      return tx;
+    });
+
+    const block = new Block(0, timestamp, transactions, '0', this.difficultyParams.initialDifficulty);
+    block.hash = block.calculateHash();
+    return block;
+  }
+
+  // 指定高度的区块补贴（不含手续费）：每隔 halvingInterval 个区块减半，累计发行量达到 maxSupply 后为 0
+  getBlockReward(height) {
+    if (height < 1) {
+      return 0n;
+    }
+    return this.getScheduledSupply(height) - this.getScheduledSupply(height - 1);
+  }
+
+  // 按发行计划，高度 height 及之前的区块全部发放补贴后原生币的总量（含创世预分配），不超过 maxSupply
+  getScheduledSupply(height) {
+    const { genesis, miningReward, halvingInterval, maxSupply } = this.network;
+    let total = genesis.allocations.reduce((sum, { amount }) => sum + amount, 0n);
+
+    if (halvingInterval === 0) {
+      total += miningReward * BigInt(height);
+    } else {
+      // 第 era 个周期覆盖高度 [era * halvingInterval, (era + 1) * halvingInterval)，创世区块没有补贴
+      for (let era = 0, subsidy = miningReward; subsidy > 0n && era * halvingInterval <= height; era++, subsidy >>= 1n) {
+        const first = Math.max(era * halvingInterval, 1);
+        const last = Math.min((era + 1) * halvingInterval - 1, height);
+        if (last >= first) {
+          total += subsidy * BigInt(last - first + 1);
+        }
+      }
+    }
+    return total < maxSupply ? total : maxSupply;
+  }
+
+  // height 之后下一次减半的高度，不减半或补贴已经发放完毕时返回 null
+  getNextHalvingHeight(height) {
+    const { halvingInterval } = this.network;
+    if (halvingInterval === 0 || this.getBlockReward(height) === 0n) {
+      return null;
+    }
+    return (Math.floor(height / halvingInterval) + 1) * halvingInterval;
+  }
+
+  // 下一个区块的出块奖励
+  get miningReward() {
+    return this.getBlockReward(this.chain.length);
+  }
+
+  // 下一个区块的难度
+  get difficulty() {
+    return this.getDifficultyForHeight(this.chain.length);
+  }
+
+  // 按链上已有区块计算指定高度的难度
+  getDifficultyForHeight(height, chain = this.chain) {
+    return getDifficultyForHeight(chain, height, this.difficultyParams);
+  }
+
+  // 区块应满足的难度，布局 0 的旧区块不参与难度调整，固定为当时的难度
+  getExpectedDifficulty(block, chain = this.chain) {
+    if (block.legacyLayout === LEGACY_BLOCK_LAYOUT_BASIC) {
+      return LEGACY_BLOCK_DIFFICULTY;
+    }
+    return this.getDifficultyForHeight(block.index, chain);
+  }
+
+  // 按本网络原生币的小数位数格式化金额
+  formatAmount(value) {
+    return formatAmount(value, this.amountDecimals);
   }
 
   // 获取最新区块
@@ -176,30 +618,42 @@ class Blockchain {
     return this.chain[this.chain.length - 1];
   }
 
-  // 挖矿处理未确认交易
+  // 挖矿处理未确认交易（同步挖矿，会阻塞当前线程，服务端使用 Miner 在工作线程中挖矿）
   minePendingTransactions(miningRewardAddress) {
-    // 创建奖励交易
-    const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward);
-    this.pendingTransactions.push(rewardTx);
-
-    // 创建新区块
-    const block = new Block(
-      this.chain.length,
-      Date.now(),
-      this.pendingTransactions,
-      this.getLatestBlock().hash
-    );
+    const block = this.createBlockTemplate(miningRewardAddress);
 
     // 挖矿
-    block.mineBlock(this.difficulty);
+    block.mineBlock();
 
-    // 将新区块添加到链上
-    this.chain.push(block);
+    // 校验后将新区块添加到链上
+    return this.addBlock(block);
+  }
 
-    // 清空待处理交易
-    this.pendingTransactions = [];
-    
-    return block;
+  // 创建待挖矿的区块模板
+  createBlockTemplate(miningRewardAddress) {
+    const height = this.chain.length;
+    const timestamp = Date.now();
+
+    // 按手续费率挑选交易，未被选中和时间锁未到期的交易留在交易池中
+    const transactions = this.selectTransactionsForBlock(height, timestamp);
+    const totalFees = transactions.reduce((sum, tx) => sum + tx.fee, 0n);
+
+    // 创建奖励交易（区块补贴加上所有手续费），发行完毕且没有手续费时不创建
+    const reward = this.getBlockReward(height) + totalFees;
+    if (reward > 0n) {
+      const rewardTx = new Transaction(null, miningRewardAddress, reward);
+      rewardTx.chainId = this.chainId;
+      transactions.push(rewardTx);
+    }
+
+    // 创建新区块
+    return new Block(
+      height,
+      timestamp,
+      transactions,
+      this.getLatestBlock().hash,
+      this.difficulty
+    );
   }
 
   // 添加交易到未确认交易池 - 修复版本
@@ -209,11 +663,47 @@ class Blockchain {
       throw new Error('交易必须包含发送和接收地址');
     }
 
-    if (typeof transaction.amount !== 'number' || transaction.amount <= 0) {
-      throw new Error('交易金额必须是正数');
+    // 旧格式的交易只用于校验历史数据，不再接受新提交
+    if (transaction.version !== TRANSACTION_VERSION) {
+      throw new Error(`不支持的交易版本: ${transaction.version}，当前版本为 ${TRANSACTION_VERSION}`);
+    }
+
+    if (transaction.chainId !== this.chainId) {
+      throw new Error(`交易的链标识 ${transaction.chainId} 与本网络 ${this.chainId} 不一致`);
+    }
+
+    if (!isValidAmount(transaction.amount) || transaction.amount === 0n) {
+      throw new Error('交易金额必须是不超过上限的正整数（最小单位）');
+    }
+
+    if (!isValidAmount(transaction.fee)) {
+      throw new Error('交易手续费必须是不超过上限的非负整数（最小单位）');
+    }
+
+    if (!Number.isInteger(transaction.nonce) || transaction.nonce < 0) {
+      throw new Error('交易nonce必须是非负整数');
+    }
+
+    if (!Number.isInteger(transaction.lockHeight) || transaction.lockHeight < 0 ||
+        !Number.isInteger(transaction.lockTime) || transaction.lockTime < 0) {
+      throw new Error('交易时间锁必须是非负整数');
+    }
+
+    if (!Number.isInteger(transaction.timestamp) || transaction.timestamp > Date.now() + MAX_FUTURE_TRANSACTION_TIME) {
+      throw new Error('交易时间戳无效或超前本地时间太多');
+    }
+
+    if (this.isTransactionExpired(transaction, Date.now())) {
+      throw new Error('交易已过期，请使用新的时间戳重新签名');
+    }
+
+    const assetError = this.getAssetError(transaction, this.accountState, this.getPendingSymbols(transaction));
+    if (assetError) {
+      throw new Error(assetError);
     }
 
     // 验证交易签名（跳过系统奖励交易）
+    let replaced = null;
     if (transaction.fromAddress !== null) {
       console.log('验证交易签名...');
       if (!transaction.isValid()) {
@@ -221,69 +711,886 @@ class Blockchain {
       }
       console.log('交易签名验证通过');
 
-      // 检查余额是否足够
-      const senderBalance = this.getBalanceOfAddress(transaction.fromAddress);
-      if (senderBalance < transaction.amount) {
-        throw new Error(`余额不足。当前余额: ${senderBalance}, 需要: ${transaction.amount}`);
+      // 检查nonce，拒绝重放、重复和乱序的交易；nonce相同时按替换规则处理
+      replaced = this.checkTransactionNonce(transaction);
+
+      // 检查每种资产的可用余额是否足够（已确认余额减去待处理的支出，被替换的交易不再计入）
+      for (const asset of transaction.getSpentAssets()) {
+        const availableBalance = this.getAvailableBalance(transaction.fromAddress, asset) +
+          (replaced ? replaced.getCost(asset) : 0n);
+        const cost = transaction.getCost(asset);
+        if (availableBalance < cost) {
+          throw new Error(asset === null
+            ? `可用余额不足。可用余额: ${this.formatAmount(availableBalance)}, 需要: ${this.formatAmount(cost)}（含手续费 ${this.formatAmount(transaction.fee)}）`
+            : `代币 ${asset} 可用余额不足。可用余额: ${availableBalance}, 需要: ${cost}（最小单位）`);
+        }
       }
     }
 
-    this.pendingTransactions.push(transaction);
+    if (replaced) {
+      // 原位替换，保持同一发送方交易的nonce顺序
+      this.pendingTransactions[this.pendingTransactions.indexOf(replaced)] = transaction;
+      console.log(`交易 ${replaced.calculateHash()} 已被替换`);
+    } else {
+      this.pendingTransactions.push(transaction);
+    }
+    this.onPendingTransactionsChanged();
+    if (replaced) {
+      this.emit('transactionsRemoved', [replaced], 'replaced');
+    }
+    this.emit('transaction', transaction);
     console.log('交易已添加到待处理池');
     return true;
   }
 
-  // 获取地址余额
-  getBalanceOfAddress(address) {
-    let balance = 0;
+  // 检查交易nonce是否正好是发送方的下一个序号，返回将被替换的同nonce待处理交易（没有则为 null）
+  checkTransactionNonce(transaction) {
+    const { fromAddress, nonce } = transaction;
+    const confirmedNonce = this.getConfirmedNonce(fromAddress);
 
-    // 遍历所有区块和交易
-    for (const block of this.chain) {
-      for (const trans of block.transactions) {
-        // 如果该地址是发送方，减少余额
-        if (trans.fromAddress === address) {
-          balance -= trans.amount;
-        }
+    if (nonce < confirmedNonce) {
+      throw new Error(`交易nonce ${nonce} 已在链上使用，疑似重放交易。当前账户nonce: ${confirmedNonce}`);
+    }
 
-        // 如果该地址是接收方，增加余额
-        if (trans.toAddress === address) {
-          balance += trans.amount;
-        }
+    const pendingSameNonce = this.pendingTransactions.find(
+      (tx) => tx.fromAddress === fromAddress && tx.nonce === nonce
+    );
+    if (pendingSameNonce) {
+      if (pendingSameNonce.calculateHash() === transaction.calculateHash()) {
+        throw new Error('重复交易：该交易已在待处理池中');
       }
+      // 同一nonce的新交易只能以更高的手续费替换原交易
+      const bump = (pendingSameNonce.fee * REPLACEMENT_FEE_BUMP_PERCENT + 99n) / 100n;
+      const minimumFee = pendingSameNonce.fee + (bump > 0n ? bump : 1n);
+      if (transaction.fee < minimumFee) {
+        throw new Error(`交易nonce ${nonce} 已被待处理池中的另一笔交易占用，替换交易的手续费至少需要 ${this.formatAmount(minimumFee)}（原手续费 ${this.formatAmount(pendingSameNonce.fee)}）`);
+      }
+      return pendingSameNonce;
+    }
+
+    const expectedNonce = this.getNextNonce(fromAddress);
+    if (nonce !== expectedNonce) {
+      throw new Error(`交易nonce不连续。期望: ${expectedNonce}, 实际: ${nonce}`);
     }
 
-    return balance;
+    const pendingCount = expectedNonce - confirmedNonce;
+    if (pendingCount >= this.maxPendingPerSender) {
+      throw new Error(`发送方待处理交易已达上限 ${this.maxPendingPerSender} 笔，请等待打包后再提交`);
+    }
+    return null;
+  }
+
+  // 获取地址在链上已确认的nonce（即已确认的发出交易数）
+  getConfirmedNonce(address) {
+    return this.accountState.getNonce(address);
   }
 
-  // 验证区块链完整性
-  isChainValid() {
-    // 从第二个区块开始验证
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+  // 获取地址下一笔交易应使用的nonce（包含待处理交易）
+  getNextNonce(address) {
+    const pendingCount = this.pendingTransactions.filter((tx) => tx.fromAddress === address).length;
+    return this.getConfirmedNonce(address) + pendingCount;
+  }
+
+  // 获取地址在待处理交易池中的支出总额
+  getPendingOutflow(address, asset = null) {
+    return this.pendingTransactions
+      .filter((tx) => tx.fromAddress === address)
+      .reduce((sum, tx) => sum + tx.getCost(asset), 0n);
+  }
+
+  // 获取地址可用余额：已确认余额减去待处理的支出
+  getAvailableBalance(address, asset = null) {
+    return this.getBalanceOfAddress(address, asset) - this.getPendingOutflow(address, asset);
+  }
+
+  // 获取地址已确认的余额
+  getBalanceOfAddress(address, asset = null) {
+    return this.accountState.getBalance(address, asset);
+  }
 
-      // 验证区块哈希
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
-        console.error('区块哈希无效:', currentBlock.index);
+  // 验证区块链完整性（默认验证本节点的链，也可以验证从其他节点获取的链）
+  // fromHeight 之前的区块视为已验证，只验证之后的区块
+  isChainValid(chain = this.chain, fromHeight = 1) {
+    const state = AccountState.fromChain(chain.slice(0, fromHeight));
+
+    // 默认从第二个区块开始验证
+    for (let i = fromHeight; i < chain.length; i++) {
+      const expectedDifficulty = this.getExpectedDifficulty(chain[i], chain);
+      if (!this.isValidNextBlock(chain[i], chain[i - 1], state, expectedDifficulty)) {
         return false;
       }
+      state.applyBlock(chain[i]);
+    }
+    return true;
+  }
+
+  // 验证区块能否接在前一个区块之后
+  // state 为前一个区块为止的链状态，expectedDifficulty 为该高度适用的难度
+  isValidNextBlock(currentBlock, previousBlock, state = this.accountState, expectedDifficulty = this.getExpectedDifficulty(currentBlock)) {
+    // 验证编码版本：版本不能回退，版本 1 起区块只能包含同一版本的交易
+    if (![0, 1, 2, BLOCK_VERSION].includes(currentBlock.version) || currentBlock.version < previousBlock.version) {
+      console.error('区块版本无效:', currentBlock.index);
+      return false;
+    }
+
+    if (currentBlock.version === 0 && previousBlock.version === 0 && currentBlock.legacyLayout < previousBlock.legacyLayout) {
+      console.error('区块布局无效:', currentBlock.index);
+      return false;
+    }
+
+    if (currentBlock.version > 0 && currentBlock.transactions.some((tx) => tx.version !== currentBlock.version)) {
+      console.error('区块中包含旧版本交易:', currentBlock.index);
+      return false;
+    }
 
-      // 验证区块链接
-      if (currentBlock.previousHash !== previousBlock.hash) {
-        console.error('区块链接无效:', currentBlock.index);
+    // 版本 3 起交易绑定链标识
+    if (currentBlock.version >= 3 && currentBlock.transactions.some((tx) => tx.chainId !== this.chainId)) {
+      console.error('区块中包含其他网络的交易:', currentBlock.index);
+      return false;
+    }
+
+    // 每个区块最多一笔奖励交易，金额不能超过该高度的补贴加上区块内的手续费
+    const rewardTxs = currentBlock.transactions.filter((tx) => tx.fromAddress === null);
+    if (rewardTxs.length > 1) {
+      console.error('区块中包含多笔奖励交易:', currentBlock.index);
+      return false;
+    }
+    if (rewardTxs.length === 1) {
+      // 奖励交易没有发送方，不能带手续费、nonce 和时间锁，手续费只从普通交易中累计
+      const rewardTx = rewardTxs[0];
+      if (rewardTx.fee !== 0n || rewardTx.nonce !== 0 || rewardTx.lockHeight || rewardTx.lockTime) {
+        console.error('区块奖励交易不能包含手续费、nonce或时间锁:', currentBlock.index);
         return false;
       }
+      const totalFees = currentBlock.transactions
+        .filter((tx) => tx.fromAddress !== null)
+        .reduce((sum, tx) => sum + tx.fee, 0n);
+      if (rewardTx.amount > this.getBlockReward(currentBlock.index) + totalFees) {
+        console.error('区块奖励超过补贴与手续费之和:', currentBlock.index);
+        return false;
+      }
+    }
+
+    // 验证 Merkle 根与交易一致
+    if (currentBlock.merkleRoot !== currentBlock.calculateMerkleRoot()) {
+      console.error('区块Merkle根无效:', currentBlock.index);
+      return false;
+    }
+    if (currentBlock.hasDuplicateTransactions()) {
+      console.error('区块中包含重复的交易:', currentBlock.index);
+      return false;
+    }
 
-      // 验证区块中的所有交易
-      for (const tx of currentBlock.transactions) {
-        if (!tx.isValid() && tx.fromAddress !== null) {
-          console.error('区块中包含无效交易:', currentBlock.index);
+    // 验证区块头：高度、哈希、时间戳、难度、工作量证明和链接
+    const headerError = getHeaderError(currentBlock, previousBlock, expectedDifficulty);
+    if (headerError) {
+      console.error(`${headerError}:`, currentBlock.index);
+      return false;
+    }
+
+    // 验证区块中的所有交易，余额按 (资产, 地址) 记录区块内的变化
+    const nonces = new Map();
+    const balances = new Map();
+    const balanceOf = (address, asset = null) => {
+      const key = getBalanceKey(address, asset);
+      return balances.has(key) ? balances.get(key) : state.getBalance(address, asset);
+    };
+    const issuedSymbols = new Set();
+
+    for (const tx of currentBlock.transactions) {
+      if (!tx.isValid() && tx.fromAddress !== null) {
+        console.error('区块中包含无效交易:', currentBlock.index);
+        return false;
+      }
+
+      if (tx.isLockedAt(currentBlock.index, currentBlock.timestamp)) {
+        console.error('区块中包含时间锁未到期的交易:', currentBlock.index);
+        return false;
+      }
+
+      const assetError = this.getAssetError(tx, state, issuedSymbols);
+      if (assetError) {
+        console.error(`区块中包含无效的代币交易（${assetError}）:`, currentBlock.index);
+        return false;
+      }
+      if (tx.type === TRANSACTION_TYPE_ISSUE) {
+        issuedSymbols.add(tx.token.symbol);
+      }
+
+      // 同一地址的交易nonce必须从链上状态开始依次递增；
+      // 没有 nonce 字段的旧布局交易不检查，但仍计入发送方的交易数
+      if (tx.fromAddress !== null) {
+        const expectedNonce = nonces.has(tx.fromAddress)
+          ? nonces.get(tx.fromAddress)
+          : state.getNonce(tx.fromAddress);
+        if (hasLegacyNonce(tx) && tx.nonce !== expectedNonce) {
+          console.error('区块中包含nonce无效的交易:', currentBlock.index);
           return false;
         }
+        nonces.set(tx.fromAddress, expectedNonce + 1);
+
+        // 按区块内顺序执行，任何账户的任何资产都不能透支
+        for (const asset of tx.getSpentAssets()) {
+          if (balanceOf(tx.fromAddress, asset) < tx.getCost(asset)) {
+            console.error('区块中包含透支的交易:', currentBlock.index);
+            return false;
+          }
+          balances.set(getBalanceKey(tx.fromAddress, asset), balanceOf(tx.fromAddress, asset) - tx.getCost(asset));
+        }
+      }
+      balances.set(getBalanceKey(tx.toAddress, tx.asset), balanceOf(tx.toAddress, tx.asset) + tx.amount);
+    }
+    return true;
+  }
+
+  // 计算链的累计工作量（难度与期望哈希次数成正比，直接累加）
+  getChainWork(chain = this.chain) {
+    return chain.reduce((work, block) => work + block.difficulty, 0);
+  }
+
+  // 追加新区块（本地挖出或其他节点广播），只接受直接接在本地最新区块之后的区块
+  // 追加前使用与 isChainValid 相同的逐块校验
+  addBlock(block) {
+    if (!this.isValidNextBlock(block, this.getLatestBlock())) {
+      throw new Error(`区块 #${block.index} 无法接在本地最新区块之后`);
+    }
+
+    this.chain.push(block);
+    this.chainIndex.addBlock(block);
+    this.accountState.applyBlock(block);
+    if (this.storage) {
+      this.storage.saveBlock(block);
+    }
+
+    // 移除已打包的交易
+    this.prunePendingTransactions();
+    this.pruneForkBlocks();
+    console.log(`区块 #${block.index} 已添加到链上`);
+    this.emit('block', block);
+    return block;
+  }
+
+  // 接收其他节点广播的区块：接在最新区块之后直接追加，接在其他已知区块之后记为分叉，
+  // 分叉的累计工作量超过主链时发生重组。返回 known、accepted、reorg、fork 或 orphan
+  // source 标识发送区块的节点（如对方 IP），用于限制单个节点占用的分叉区块数
+  receiveBlock(block, source = null) {
+    if (!Number.isInteger(block.difficulty) || block.difficulty < 1) {
+      throw new Error(`区块 #${block.index} 的难度无效: ${block.difficulty}`);
+    }
+    if (this.chainIndex.getBlockIndexByHash(block.hash) !== null || this.forkBlocks.has(block.hash)) {
+      return 'known';
+    }
+
+    if (block.previousHash === this.getLatestBlock().hash) {
+      this.addBlock(block);
+      return 'accepted';
+    }
+
+    const mainParentIndex = this.chainIndex.getBlockIndexByHash(block.previousHash);
+    const parent = mainParentIndex !== null
+      ? this.chain[mainParentIndex]
+      : this.forkBlocks.get(block.previousHash);
+    if (!parent) {
+      return 'orphan';
+    }
+
+    if (block.index !== parent.index + 1) {
+      throw new Error(`分叉区块 #${block.index} 的高度与父区块不连续`);
+    }
+    if (this.getLatestBlock().index - block.index >= MAX_FORK_DEPTH) {
+      throw new Error(`分叉区块 #${block.index} 过旧，超过最大分叉深度 ${MAX_FORK_DEPTH}`);
+    }
+
+    // 分叉区块暂时无法按账户状态校验，先按分叉上的难度调整规则校验区块头和Merkle根，
+    // 难度不足的区块无法进入分叉记录，伪造分叉需要付出与主链相当的工作量；
+    // 有重复交易的区块与同一哈希的真实区块 Merkle 根相同，也要在记录前拒绝，避免真实区块被当作已知区块丢弃
+    const { forkHeight, blocks } = this.getForkBranch(block);
+    const candidate = this.chain.slice(0, forkHeight).concat(blocks);
+    const headerError = getHeaderError(block, parent, this.getExpectedDifficulty(block, candidate));
+    const bodyError = block.merkleRoot !== block.calculateMerkleRoot()
+      ? '区块Merkle根无效'
+      : block.hasDuplicateTransactions() ? '区块中包含重复的交易' : null;
+    if (headerError || bodyError) {
+      throw new Error(`分叉区块 #${block.index} 无效: ${headerError || bodyError}`);
+    }
+
+    if (source !== null) {
+      const fromSource = Array.from(this.forkBlockSources.values()).filter((value) => value === source).length;
+      if (fromSource >= MAX_FORK_BLOCKS_PER_SOURCE) {
+        throw new Error(`来自 ${source} 的分叉区块已达上限 ${MAX_FORK_BLOCKS_PER_SOURCE}`);
+      }
+      this.forkBlockSources.set(block.hash, source);
+    }
+    this.forkBlocks.set(block.hash, block);
+    this.pruneForkBlocks();
+    if (!this.forkBlocks.has(block.hash)) {
+      return 'fork';
+    }
+
+    // 只有累计工作量严格更多时才切换，工作量相同时保留先收到的链
+    if (this.getChainWork(candidate) <= this.getChainWork()) {
+      console.log(`收到分叉区块 #${block.index}，分叉点高度 ${forkHeight}，累计工作量不足，暂不切换`);
+      return 'fork';
+    }
+
+    if (!this.isChainValid(candidate, forkHeight)) {
+      blocks.forEach((forkBlock) => this.removeForkBlock(forkBlock.hash));
+      throw new Error(`分叉链校验失败，已丢弃从高度 ${forkHeight} 开始的分叉区块`);
+    }
+
+    this.reorganize(candidate, forkHeight);
+    return 'reorg';
+  }
+
+  // 从分叉区块往回找到主链上的共同祖先，返回分叉点高度和分叉上的区块（按高度排列）
+  getForkBranch(tip) {
+    const blocks = [tip];
+    let current = tip;
+
+    while (this.chainIndex.getBlockIndexByHash(current.previousHash) === null) {
+      current = this.forkBlocks.get(current.previousHash);
+      blocks.unshift(current);
+    }
+
+    return { forkHeight: tip.index - blocks.length + 1, blocks };
+  }
+
+  // 分叉的末端区块（没有子区块的分叉区块）
+  getForkTips() {
+    const parents = new Set(Array.from(this.forkBlocks.values(), (block) => block.previousHash));
+
+    return Array.from(this.forkBlocks.values())
+      .filter((block) => !parents.has(block.hash))
+      .map((block) => {
+        const { forkHeight, blocks } = this.getForkBranch(block);
+        return {
+          hash: block.hash,
+          index: block.index,
+          forkHeight,
+          length: blocks.length,
+          chainWork: this.getChainWork(this.chain.slice(0, forkHeight)) + this.getChainWork(blocks)
+        };
+      });
+  }
+
+  removeForkBlock(hash) {
+    this.forkBlocks.delete(hash);
+    this.forkBlockSources.delete(hash);
+  }
+
+  // 丢弃比主链最新区块低太多的分叉区块，超过数量上限时从高度最低的开始丢弃，
+  // 最后丢弃已经没有祖先可循的分叉区块
+  pruneForkBlocks() {
+    const minIndex = this.getLatestBlock().index - MAX_FORK_DEPTH;
+
+    for (const [hash, block] of this.forkBlocks) {
+      if (block.index <= minIndex) {
+        this.removeForkBlock(hash);
+      }
+    }
+    if (this.forkBlocks.size > MAX_FORK_BLOCKS) {
+      Array.from(this.forkBlocks.values())
+        .sort((a, b) => a.index - b.index)
+        .slice(0, this.forkBlocks.size - MAX_FORK_BLOCKS)
+        .forEach((block) => this.removeForkBlock(block.hash));
+    }
+    for (const [hash, block] of this.forkBlocks) {
+      if (!this.isForkBlockConnected(block)) {
+        this.removeForkBlock(hash);
+      }
+    }
+  }
+
+  isForkBlockConnected(block) {
+    let current = block;
+    while (this.chainIndex.getBlockIndexByHash(current.previousHash) === null) {
+      current = this.forkBlocks.get(current.previousHash);
+      if (!current) {
+        return false;
       }
     }
     return true;
   }
+
+  // 在主链中找到与 chain 的最后一个共同区块，返回其高度，没有共同区块时返回 -1
+  findCommonAncestor(chain) {
+    for (let i = Math.min(chain.length, this.chain.length) - 1; i >= 0; i--) {
+      if (chain[i].hash === this.chain[i].hash) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // 切换到已校验的链 candidate（forkHeight 之前的区块与主链相同）
+  // 被放弃区块中的交易如果在新链上仍然有效，放回交易池
+  reorganize(candidate, forkHeight) {
+    const disconnected = this.chain.slice(forkHeight);
+    const connected = candidate.slice(forkHeight);
+    const previousPending = this.pendingTransactions;
+
+    this.chain = candidate;
+    this.chainIndex.rebuild(candidate);
+    this.accountState = AccountState.fromChain(candidate);
+    if (this.storage) {
+      this.storage.saveChain(candidate, forkHeight);
+    }
+
+    // 被放弃的区块留作分叉，之后分叉重新胜出时还可以切换回去
+    connected.forEach((block) => this.removeForkBlock(block.hash));
+    disconnected.forEach((block) => this.forkBlocks.set(block.hash, block));
+
+    // 被放弃区块中的交易按原顺序排在交易池前面，nonce、余额和有效期不满足的由 prune 移除
+    const abandoned = disconnected.flatMap((block) => block.transactions.filter((tx) => tx.fromAddress !== null));
+    this.pendingTransactions = abandoned.concat(previousPending);
+    this.prunePendingTransactions();
+    if (abandoned.length > 0) {
+      this.onPendingTransactionsChanged();
+    }
+    this.pruneForkBlocks();
+
+    if (disconnected.length > 0) {
+      const restored = abandoned.filter((tx) => this.pendingTransactions.includes(tx));
+      const dropped = abandoned.filter(
+        (tx) => !restored.includes(tx) && this.chainIndex.getTransactionLocation(tx.calculateHash()) === null
+      );
+
+      const reorg = {
+        timestamp: Date.now(),
+        depth: disconnected.length,
+        forkHeight,
+        oldTip: disconnected[disconnected.length - 1].hash,
+        newTip: this.getLatestBlock().hash,
+        disconnectedBlocks: disconnected.map((block) => block.hash),
+        connectedBlocks: connected.map((block) => block.hash),
+        restoredTransactions: restored.map((tx) => tx.calculateHash()),
+        droppedTransactions: dropped.map((tx) => tx.calculateHash())
+      };
+
+      this.reorgHistory.push(reorg);
+      if (this.reorgHistory.length > MAX_REORG_HISTORY) {
+        this.reorgHistory.shift();
+      }
+
+      console.warn(
+        `链重组：深度 ${reorg.depth}，分叉点高度 ${forkHeight}，` +
+        `恢复 ${restored.length} 笔交易到交易池，丢弃 ${dropped.length} 笔交易`
+      );
+      this.emit('reorg', reorg);
+    }
+
+    console.log(`本地链已替换，新长度: ${candidate.length}`);
+    this.emit('chainReplaced', candidate, { forkHeight, connected });
+  }
+
+  // 用其他节点的链替换本地链（最长有效链共识）
+  replaceChain(newChain) {
+    const newWork = this.getChainWork(newChain);
+    const currentWork = this.getChainWork();
+
+    // 累计工作量更多的链胜出，工作量相同时取更长的链
+    const isBetter =
+      newWork > currentWork ||
+      (newWork === currentWork && newChain.length > this.chain.length);
+    if (!isBetter) {
+      return false;
+    }
+
+    // 创世区块不同说明属于其他网络
+    if (newChain[0].hash !== this.chain[0].hash) {
+      console.error('收到的链创世区块不同，拒绝替换');
+      return false;
+    }
+
+    // 共同祖先及之前的区块沿用本地已验证的区块，只验证分叉之后的部分
+    const forkHeight = this.findCommonAncestor(newChain) + 1;
+    const candidate = this.chain.slice(0, forkHeight).concat(newChain.slice(forkHeight));
+
+    if (!this.isChainValid(candidate, forkHeight)) {
+      console.error('收到的链无效，拒绝替换');
+      return false;
+    }
+
+    this.reorganize(candidate, forkHeight);
+    return true;
+  }
+
+  // 重新检查交易池，移除已确认、nonce不再连续或会透支的交易
+  prunePendingTransactions() {
+    const state = this.accountState;
+    const nextNonces = new Map();
+    const spent = new Map();
+    const expired = [];
+    const expiredSenders = new Set();
+    const issuedSymbols = new Set();
+    const now = Date.now();
+    const before = this.pendingTransactions.length;
+
+    this.pendingTransactions = this.pendingTransactions.filter((tx) => {
+      const expectedNonce = nextNonces.has(tx.fromAddress)
+        ? nextNonces.get(tx.fromAddress)
+        : state.getNonce(tx.fromAddress);
+
+      if (tx.nonce !== expectedNonce) {
+        // 过期交易之后的交易因nonce不连续一并移除
+        if (expiredSenders.has(tx.fromAddress)) {
+          expired.push(tx);
+        }
+        return false;
+      }
+
+      // 旧版本交易（重启前或重组前留下的）不能再被打包进新版本区块
+      if (tx.version !== TRANSACTION_VERSION) {
+        console.warn('移除旧版本的待处理交易:', tx.calculateHash());
+        return false;
+      }
+
+      if (this.isTransactionExpired(tx, now)) {
+        console.warn('移除过期的待处理交易:', tx.calculateHash());
+        expired.push(tx);
+        expiredSenders.add(tx.fromAddress);
+        return false;
+      }
+
+      // 代币符号可能已被新区块中的发行交易占用
+      const assetError = this.getAssetError(tx, state, issuedSymbols);
+      if (assetError) {
+        console.warn(`移除无效的待处理交易（${assetError}）:`, tx.calculateHash());
+        return false;
+      }
+
+      // 同一发送方每种资产的待处理支出累计不能超过已确认余额
+      const totals = tx.getSpentAssets().map((asset) => {
+        const key = getBalanceKey(tx.fromAddress, asset);
+        return {
+          key,
+          total: (spent.get(key) || 0n) + tx.getCost(asset),
+          balance: state.getBalance(tx.fromAddress, asset)
+        };
+      });
+      if (totals.some(({ total, balance }) => total > balance)) {
+        console.warn('移除会透支的待处理交易:', tx.calculateHash());
+        return false;
+      }
+
+      nextNonces.set(tx.fromAddress, expectedNonce + 1);
+      totals.forEach(({ key, total }) => spent.set(key, total));
+      if (tx.type === TRANSACTION_TYPE_ISSUE) {
+        issuedSymbols.add(tx.token.symbol);
+      }
+      return true;
+    });
+
+    if (this.pendingTransactions.length !== before) {
+      console.log(`已从待处理池移除 ${before - this.pendingTransactions.length} 笔交易`);
+      this.onPendingTransactionsChanged();
+    }
+    if (expired.length > 0) {
+      this.emit('transactionsRemoved', expired, 'expired');
+    }
+  }
+
+  // 校验代币相关字段，返回错误信息，没有错误时返回 null
+  // reservedSymbols 为同一区块或交易池中已经发行的代币符号
+  getAssetError(tx, state, reservedSymbols = new Set()) {
+    if (tx.fromAddress === null) {
+      return tx.type || tx.asset || tx.token ? '奖励交易只能发放原生币' : null;
+    }
+
+    if (tx.type === TRANSACTION_TYPE_ISSUE) {
+      let token;
+      try {
+        token = normalizeTokenMetadata(tx.token);
+      } catch (error) {
+        return error.message;
+      }
+      if (canonicalize(token) !== canonicalize(tx.token)) {
+        return '代币信息只能包含 symbol、name 和 decimals';
+      }
+      if (tx.asset !== getAssetId(tx.fromAddress, tx.nonce)) {
+        return '代币标识与发行方地址和nonce不匹配';
+      }
+      if (!isValidTokenAmount(tx.amount)) {
+        return '代币发行量必须是正整数';
+      }
+      if (state.getAssetBySymbol(token.symbol) || reservedSymbols.has(token.symbol)) {
+        return `代币符号 ${token.symbol} 已被使用`;
+      }
+      return null;
+    }
+
+    if (tx.type !== null) {
+      return `不支持的交易类型: ${tx.type}`;
+    }
+    if (tx.token !== null) {
+      return '转账交易不能包含代币信息';
+    }
+    if (tx.asset !== null) {
+      if (!state.getAsset(tx.asset)) {
+        return `代币不存在: ${tx.asset}`;
+      }
+      if (!isValidTokenAmount(tx.amount)) {
+        return '代币转账金额必须是正整数';
+      }
+    }
+    return null;
+  }
+
+  // 交易池中其他发行交易已占用的代币符号（被同nonce替换的交易除外）
+  getPendingSymbols(transaction) {
+    return new Set(
+      this.pendingTransactions
+        .filter((tx) => tx.type === TRANSACTION_TYPE_ISSUE)
+        .filter((tx) => tx.fromAddress !== transaction.fromAddress || tx.nonce !== transaction.nonce)
+        .map((tx) => tx.token.symbol)
+    );
+  }
+
+  // 交易在池中停留超过有效期即过期；时间锁未到期的交易不过期，有效期从时间锁到期后开始计算
+  isTransactionExpired(tx, now) {
+    if (tx.lockHeight > this.chain.length) {
+      return false;
+    }
+    return now - Math.max(tx.timestamp, tx.lockTime) > this.pendingTransactionTTL;
+  }
+
+  // 撤销请求是否由交易发送方签名：普通地址需要一个签名，多签地址需要达到门限的签名
+  isCancelAuthorized(tx, authorization) {
+    const cancelHash = hashCancelRequest(tx.calculateHash());
+
+    if (tx.multisig) {
+      return verifyMultisigSignatures(cancelHash, tx.multisig, authorization.signatures);
+    }
+
+    const publicKey = recoverPublicKey(cancelHash, authorization);
+    return publicKey !== null && getAddressFromPublicKey(Buffer.from(publicKey, 'hex')) === tx.fromAddress;
+  }
+
+  // 撤销发送方自己的待处理交易，同一发送方nonce更大的交易无法再按顺序打包，一并移除
+  // 撤销只影响交易池，已经被其他节点打包的交易无法撤回
+  cancelPendingTransaction(hash, authorization = {}) {
+    const tx = this.findPendingTransaction(hash);
+    if (!tx) {
+      throw new Error('待处理池中不存在该交易');
+    }
+    if (!this.isCancelAuthorized(tx, authorization)) {
+      throw new Error('撤销请求的签名无效');
+    }
+
+    const removed = this.pendingTransactions.filter(
+      (pending) => pending.fromAddress === tx.fromAddress && pending.nonce >= tx.nonce
+    );
+    this.pendingTransactions = this.pendingTransactions.filter((pending) => !removed.includes(pending));
+
+    console.log(`已撤销交易 ${hash}，共移除 ${removed.length} 笔待处理交易`);
+    this.onPendingTransactionsChanged();
+    this.emit('transactionsRemoved', removed, 'cancelled');
+    return removed;
+  }
+
+  // 按手续费率从高到低挑选交易，同一发送方的交易保持nonce顺序
+  selectTransactionsForBlock(height = this.chain.length, timestamp = Date.now()) {
+    // 先重新校验交易池，保证区块不会让任何账户透支
+    this.prunePendingTransactions();
+
+    // 时间锁未到期的交易及同一发送方之后的交易都要等待，保持nonce顺序
+    const queues = new Map();
+    const blocked = new Set();
+    for (const tx of this.pendingTransactions) {
+      if (blocked.has(tx.fromAddress)) {
+        continue;
+      }
+      if (tx.isLockedAt(height, timestamp)) {
+        blocked.add(tx.fromAddress);
+        continue;
+      }
+      if (!queues.has(tx.fromAddress)) {
+        queues.set(tx.fromAddress, []);
+      }
+      queues.get(tx.fromAddress).push(tx);
+    }
+
+    // 每次从各发送方队首中选出费率最高的交易
+    const selected = [];
+    while (selected.length < this.maxTransactionsPerBlock && queues.size > 0) {
+      let bestAddress = null;
+      for (const [address, queue] of queues) {
+        if (bestAddress === null || queue[0].getFeeRate() > queues.get(bestAddress)[0].getFeeRate()) {
+          bestAddress = address;
+        }
+      }
+
+      const queue = queues.get(bestAddress);
+      selected.push(queue.shift());
+      if (queue.length === 0) {
+        queues.delete(bestAddress);
+      }
+    }
+
+    return selected;
+  }
+
+  // 根据交易池估算手续费：分别计算在1、2、5个区块内被打包所需的费率
+  estimateFees() {
+    const feeRates = this.pendingTransactions
+      .map((tx) => tx.getFeeRate())
+      .sort((a, b) => b - a);
+
+    const sizes = this.pendingTransactions.map((tx) => tx.getSize()).sort((a, b) => a - b);
+    const typicalSize = sizes.length > 0 ? sizes[Math.floor(sizes.length / 2)] : DEFAULT_TRANSACTION_SIZE;
+
+    const estimateFor = (blocks) => {
+      const capacity = this.maxTransactionsPerBlock * blocks;
+      // 交易池放得下时不需要手续费，否则至少要超过排在容量边界上的交易
+      const feeRate = feeRates.length < capacity ? 0 : feeRates[capacity - 1] * FEE_RATE_BUMP;
+      return {
+        blocks,
+        feeRate,
+        fee: BigInt(Math.ceil(feeRate * typicalSize))
+      };
+    };
+
+    return {
+      pendingCount: this.pendingTransactions.length,
+      maxTransactionsPerBlock: this.maxTransactionsPerBlock,
+      typicalSize,
+      fast: estimateFor(1),
+      normal: estimateFor(2),
+      slow: estimateFor(5)
+    };
+  }
+
+  // 待处理交易何时可以被打包：同一发送方nonce更小的交易先到期，才轮得到这笔交易
+  getTransactionEligibility(tx) {
+    const nextHeight = this.chain.length;
+    const now = Date.now();
+
+    let lockHeight = tx.lockHeight;
+    let lockTime = tx.lockTime;
+    for (const pending of this.pendingTransactions) {
+      if (pending.fromAddress === tx.fromAddress && pending.nonce < tx.nonce) {
+        lockHeight = Math.max(lockHeight, pending.lockHeight);
+        lockTime = Math.max(lockTime, pending.lockTime);
+      }
+    }
+
+    return {
+      eligible: lockHeight <= nextHeight && lockTime <= now,
+      eligibleAtHeight: Math.max(lockHeight, nextHeight),
+      eligibleAtTime: lockTime > now ? lockTime : null,
+      blocksRemaining: Math.max(lockHeight - nextHeight, 0),
+      timeRemaining: Math.max(lockTime - now, 0)
+    };
+  }
+
+  // 按哈希查找待处理交易
+  findPendingTransaction(hash) {
+    return this.pendingTransactions.find((tx) => tx.calculateHash() === hash) || null;
+  }
+
+  // 区块的确认数（最新区块为1）
+  getConfirmations(blockIndex) {
+    return this.chain.length - blockIndex;
+  }
+
+  // 按高度或哈希查找区块
+  getBlock(id) {
+    if (/^\d+$/.test(String(id))) {
+      return this.chain[Number(id)] || null;
+    }
+
+    const index = this.chainIndex.getBlockIndexByHash(id);
+    return index === null ? null : this.chain[index];
+  }
+
+  // 分页获取区块，最新的区块在前
+  getBlocks(page, limit) {
+    const end = this.chain.length - (page - 1) * limit;
+    const start = Math.max(end - limit, 0);
+    return this.chain.slice(start, Math.max(end, 0)).reverse();
+  }
+
+  // 按哈希查找交易（已确认或待处理）
+  getTransaction(hash) {
+    const location = this.chainIndex.getTransactionLocation(hash);
+    if (location) {
+      const block = this.chain[location.blockIndex];
+      return {
+        status: 'confirmed',
+        transaction: block.transactions[location.position],
+        blockIndex: block.index,
+        blockHash: block.hash,
+        confirmations: this.getConfirmations(block.index)
+      };
+    }
+
+    const pending = this.findPendingTransaction(hash);
+    if (pending) {
+      return {
+        status: 'pending',
+        transaction: pending,
+        blockIndex: null,
+        blockHash: null,
+        confirmations: 0
+      };
+    }
+
+    return null;
+  }
+
+  // 获取已确认交易的 Merkle 包含证明和所在区块头
+  getTransactionProof(hash) {
+    const location = this.chainIndex.getTransactionLocation(hash);
+    if (!location) {
+      return null;
+    }
+
+    const block = this.chain[location.blockIndex];
+    return {
+      txHash: hash,
+      blockIndex: block.index,
+      position: location.position,
+      header: block.getHeader(),
+      proof: block.getTransactionProof(location.position),
+      confirmations: this.getConfirmations(block.index)
+    };
+  }
+
+  // 分页获取地址的已确认交易记录（最新的在前），以及涉及该地址的待处理交易
+  getAddressHistory(address, page, limit) {
+    const entries = this.chainIndex.getAddressHistory(address);
+    const end = entries.length - (page - 1) * limit;
+    const start = Math.max(end - limit, 0);
+
+    const transactions = entries
+      .slice(start, Math.max(end, 0))
+      .reverse()
+      .map(({ hash, blockIndex, position }) => {
+        const tx = this.chain[blockIndex].transactions[position];
+        return {
+          hash,
+          direction: getDirection(tx, address),
+          blockIndex,
+          confirmations: this.getConfirmations(blockIndex),
+          transaction: tx
+        };
+      });
+
+    const pending = this.pendingTransactions
+      .filter((tx) => tx.fromAddress === address || tx.toAddress === address)
+      .map((tx) => ({
+        hash: tx.calculateHash(),
+        direction: getDirection(tx, address),
+        confirmations: 0,
+        transaction: tx
+      }));
+
+    return {
+      total: entries.length,
+      transactions,
+      pending
+    };
+  }
 }
 
 // 钱包功能 - 修复版本
@@ -375,13 +1682,15 @@ class Wallet {
   }
 
   // 创建交易
-  createTransaction(toAddress, amount, blockchain) {
-    const balance = blockchain.getBalanceOfAddress(this.address);
-    if (balance < amount) {
-      throw new Error(`余额不足。当前余额: ${balance}`);
+  createTransaction(toAddress, amount, blockchain, fee = 0n) {
+    const balance = blockchain.getAvailableBalance(this.address);
+    if (balance < amount + fee) {
+      throw new Error(`可用余额不足。可用余额: ${blockchain.formatAmount(balance)}`);
     }
 
-    const transaction = new Transaction(this.address, toAddress, amount);
+    const nonce = blockchain.getNextNonce(this.address);
+    const transaction = new Transaction(this.address, toAddress, amount, nonce, fee);
+    transaction.chainId = blockchain.chainId;
     transaction.signTransaction(this.privateKey);
     
     return transaction;
@@ -392,5 +1701,6 @@ module.exports = {
   Block,
   Transaction,
   Blockchain,
-  Wallet
+  Wallet,
+  getDirection
 };
\ No newline at end of file
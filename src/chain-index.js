@@ -0,0 +1,64 @@
+// blockchain-server/src/chain-index.js
+
+// 区块链索引：随区块追加增量维护，供浏览器查询使用，避免每次请求都遍历整条链
+class ChainIndex {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    // 区块哈希 -> 区块高度
+    this.blocksByHash = new Map();
+    // 交易哈希 -> { blockIndex, position }
+    this.transactions = new Map();
+    // 地址 -> [{ hash, blockIndex, position }]，按上链顺序排列
+    this.addressHistory = new Map();
+  }
+
+  // 按整条链重建索引（加载或替换链之后调用）
+  rebuild(chain) {
+    this.reset();
+    for (const block of chain) {
+      this.addBlock(block);
+    }
+  }
+
+  // 把新追加的区块加入索引
+  addBlock(block) {
+    this.blocksByHash.set(block.hash, block.index);
+
+    block.transactions.forEach((tx, position) => {
+      const hash = tx.calculateHash();
+      const location = { hash, blockIndex: block.index, position };
+      this.transactions.set(hash, location);
+
+      // 自己转给自己的交易只记录一次
+      const addresses = new Set([tx.fromAddress, tx.toAddress]);
+      for (const address of addresses) {
+        if (address === null) {
+          continue;
+        }
+        if (!this.addressHistory.has(address)) {
+          this.addressHistory.set(address, []);
+        }
+        this.addressHistory.get(address).push(location);
+      }
+    });
+  }
+
+  getBlockIndexByHash(hash) {
+    return this.blocksByHash.has(hash) ? this.blocksByHash.get(hash) : null;
+  }
+
+  getTransactionLocation(hash) {
+    return this.transactions.get(hash) || null;
+  }
+
+  getAddressHistory(address) {
+    return this.addressHistory.get(address) || [];
+  }
+}
+
+module.exports = {
+  ChainIndex
+};
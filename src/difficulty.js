@@ -0,0 +1,89 @@
+// blockchain-server/src/difficulty.js
+// 工作量证明难度：难度 D 对应目标值 MAX_TARGET / D，区块哈希（按256位整数）不大于目标值即有效。
+// 难度与期望哈希次数成正比，因此可以平滑调整，也可以直接累加作为链的工作量。
+
+const MAX_TARGET = (1n << 256n) - 1n;
+const MIN_DIFFICULTY = 1;
+// 单次调整的最大倍数，防止时间戳异常导致难度剧烈波动
+const MAX_ADJUSTMENT_FACTOR = 4;
+
+// 默认难度参数
+const DEFAULT_DIFFICULTY_PARAMS = {
+  initialDifficulty: 256, // 约等于哈希以两个十六进制0开头
+  targetBlockTime: 10000, // 目标出块时间（毫秒）
+  adjustmentInterval: 10 // 每隔多少个区块调整一次难度
+};
+
+// 难度对应的目标值
+function getTarget(difficulty) {
+  return MAX_TARGET / BigInt(difficulty);
+}
+
+// 检查哈希是否满足难度要求
+function hashMeetsDifficulty(hash, difficulty) {
+  return BigInt(`0x${hash}`) <= getTarget(difficulty);
+}
+
+// 计算指定高度的区块应使用的难度
+// blocks 只需要包含该高度之前的区块（或区块头）的 timestamp 和 difficulty
+function getDifficultyForHeight(blocks, height, params = DEFAULT_DIFFICULTY_PARAMS) {
+  const { initialDifficulty, targetBlockTime, adjustmentInterval } = params;
+
+  if (height === 0) {
+    return initialDifficulty;
+  }
+
+  const previousBlock = blocks[height - 1];
+
+  // 未到调整点时沿用上一个区块的难度
+  if (height % adjustmentInterval !== 0) {
+    return previousBlock.difficulty;
+  }
+
+  // 比较最近一个周期的实际出块时间和目标出块时间。
+  // 网络配置中的创世区块（版本 3 起）使用固定的时间戳，与之后的出块时间无关，
+  // 第一个周期从高度 1 开始统计；旧版本的链保持原来的规则
+  const firstHeight = height === adjustmentInterval && blocks[0].version >= 3 ? 1 : height - adjustmentInterval;
+  const firstBlock = blocks[firstHeight];
+  const expectedTime = targetBlockTime * (height - 1 - firstHeight);
+  if (expectedTime === 0) {
+    return previousBlock.difficulty;
+  }
+  const actualTime = Math.min(
+    Math.max(previousBlock.timestamp - firstBlock.timestamp, expectedTime / MAX_ADJUSTMENT_FACTOR),
+    expectedTime * MAX_ADJUSTMENT_FACTOR
+  );
+
+  const nextDifficulty = Math.round((previousBlock.difficulty * expectedTime) / actualTime);
+  return Math.max(nextDifficulty, MIN_DIFFICULTY);
+}
+
+// 校验难度参数
+function normalizeDifficultyParams(params = {}) {
+  const normalized = { ...DEFAULT_DIFFICULTY_PARAMS };
+  for (const key of Object.keys(DEFAULT_DIFFICULTY_PARAMS)) {
+    if (params[key] !== undefined) {
+      normalized[key] = params[key];
+    }
+  }
+
+  if (!Number.isInteger(normalized.initialDifficulty) || normalized.initialDifficulty < MIN_DIFFICULTY) {
+    throw new Error('初始难度必须是正整数');
+  }
+  if (!(normalized.targetBlockTime > 0)) {
+    throw new Error('目标出块时间必须是正数');
+  }
+  if (!Number.isInteger(normalized.adjustmentInterval) || normalized.adjustmentInterval < 2) {
+    throw new Error('难度调整间隔必须是不小于2的整数');
+  }
+  return normalized;
+}
+
+module.exports = {
+  MAX_TARGET,
+  DEFAULT_DIFFICULTY_PARAMS,
+  getTarget,
+  hashMeetsDifficulty,
+  getDifficultyForHeight,
+  normalizeDifficultyParams
+};
@@ -0,0 +1,286 @@
+// blockchain-server/src/event-stream.js
+// 实时事件推送（Server-Sent Events）：客户端订阅主题后，区块上链、交易进入或离开交易池时收到推送。
+//
+// 主题:
+//   blocks             新区块（'block'）和链重组（'reorg'）
+//   pending            交易进入交易池（'transaction'）、被替换/过期/撤销（'transactionsRemoved'）
+//   address:<地址>     与该地址相关的交易进入交易池、上链或被移除（'address'）
+//
+// 每个事件带有唯一且递增的 id。断线重连时浏览器通过 Last-Event-ID 请求头带回最后收到的 id，
+// 服务端从最近的事件记录中补发之后的事件；id 已不在记录中（时间太久或节点重启）时，
+// 改为按 fromHeight 补发已上链的区块（客户端应按区块高度去重），补发结束后发送 'ready' 事件。
+// 客户端读取过慢、服务端缓冲超过上限时断开连接，客户端重连后按 Last-Event-ID 补发。
+const { PassThrough } = require('stream');
+const { getDirection } = require('./blockchain');
+
+// 同时连接的客户端上限
+const MAX_CLIENTS = 100;
+// 每个客户端最多订阅的地址数
+const MAX_ADDRESSES_PER_CLIENT = 20;
+// 单次重连最多补发的区块数，更早的区块需要通过 GET /api/blocks 获取
+const MAX_REPLAY_BLOCKS = 1000;
+// 保留最近多少个事件用于按 Last-Event-ID 补发
+const MAX_HISTORY_EVENTS = 5000;
+// 每个连接在服务端最多缓冲的字节数，写入返回 false 时断开
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+// 心跳间隔，防止代理断开空闲连接
+const HEARTBEAT_INTERVAL = 15 * 1000;
+
+// 按 SSE 格式编码一条事件
+function formatEvent(event, data, id) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// 解析订阅主题，例如 "blocks,pending,address:<地址>"
+function parseTopics(value) {
+  const topics = new Set();
+  const addresses = new Set();
+
+  for (const topic of (value || 'blocks,pending').split(',').map((item) => item.trim()).filter(Boolean)) {
+    if (topic === 'blocks' || topic === 'pending') {
+      topics.add(topic);
+    } else if (topic.startsWith('address:')) {
+      const address = topic.substring('address:'.length);
+      if (!/^[0-9a-f]{64}$/.test(address)) {
+        throw new Error(`无效的订阅地址: ${address}`);
+      }
+      addresses.add(address);
+    } else {
+      throw new Error(`未知的订阅主题: ${topic}`);
+    }
+  }
+
+  if (addresses.size > MAX_ADDRESSES_PER_CLIENT) {
+    throw new Error(`每个连接最多订阅 ${MAX_ADDRESSES_PER_CLIENT} 个地址`);
+  }
+  return { topics, addresses };
+}
+
+// 推送给客户端的区块摘要：区块头、交易数量和交易哈希
+function describeBlock(block) {
+  return {
+    ...block.getHeader(),
+    transactionCount: block.transactions.length,
+    transactions: block.transactions.map((tx) => tx.calculateHash())
+  };
+}
+
+// 交易涉及的地址（去重，不含奖励交易的空发送方）
+function getTransactionAddresses(tx) {
+  return [tx.fromAddress, tx.toAddress].filter((address, i, list) => address !== null && list.indexOf(address) === i);
+}
+
+// 事件是否属于客户端订阅的主题：topic 为 'blocks'、'pending' 或 'address'（此时按 address 匹配）
+function isSubscribed(client, { topic, address }) {
+  return topic === 'address' ? client.addresses.has(address) : client.topics.has(topic);
+}
+
+class EventStream {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.clients = new Set();
+    // 最近的事件记录：id -> { topic, address, chunk }，按 id 递增排列
+    this.history = new Map();
+    // 事件 id 以启动时间（微秒）为起点，节点重启后旧连接带回的 id 不会与新事件混淆
+    this.lastEventId = Date.now() * 1000;
+
+    blockchain.on('block', (block) => this.publishBlock(block));
+    blockchain.on('reorg', (reorg) => this.publish('reorg', reorg, { topic: 'blocks' }));
+    // 重组时新接入主链的区块不会单独触发 'block' 事件
+    blockchain.on('chainReplaced', (chain, { connected }) => connected.forEach((block) => this.publishBlock(block)));
+    blockchain.on('transaction', (tx) => this.publishPendingTransaction(tx));
+    blockchain.on('transactionsRemoved', (txs, reason) => this.publishRemovedTransactions(txs, reason));
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        this.send(client, ': ping\n\n');
+      }
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  nextEventId() {
+    this.lastEventId += 1;
+    return this.lastEventId;
+  }
+
+  // 新建订阅，返回写入事件的流
+  // lastEventId 仍在事件记录中时补发之后的事件，否则 fromHeight 不为 null 时补发该高度起已上链的区块
+  subscribe(topicsValue, fromHeight = null, lastEventId = null) {
+    if (this.clients.size >= MAX_CLIENTS) {
+      throw new Error(`事件订阅连接数已达上限 ${MAX_CLIENTS}`);
+    }
+    if (fromHeight !== null && (!Number.isInteger(fromHeight) || fromHeight < 0)) {
+      throw new Error('补发起始高度必须是非负整数');
+    }
+
+    const client = {
+      stream: new PassThrough({ highWaterMark: MAX_BUFFERED_BYTES }),
+      ...parseTopics(topicsValue)
+    };
+    // 设置断线后的重连间隔
+    client.stream.write('retry: 3000\n\n');
+
+    // 补发的内容在连接建立前写入，数量本身有上限，不按积压断开
+    if (lastEventId !== null && this.history.has(lastEventId)) {
+      this.resume(client, lastEventId);
+    } else if (fromHeight !== null) {
+      this.replay(client, fromHeight);
+    } else if (lastEventId !== null) {
+      client.stream.write(formatEvent('ready', {
+        height: this.blockchain.getLatestBlock().index,
+        resumed: false,
+        replayedFrom: null,
+        truncated: false
+      }, this.nextEventId()));
+    }
+
+    this.clients.add(client);
+    return client;
+  }
+
+  unsubscribe(client) {
+    this.clients.delete(client);
+    if (!client.stream.destroyed) {
+      client.stream.end();
+    }
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+
+  // 从事件记录中补发 lastEventId 之后的事件
+  resume(client, lastEventId) {
+    for (const [id, entry] of this.history) {
+      if (id > lastEventId && isSubscribed(client, entry)) {
+        client.stream.write(entry.chunk);
+      }
+    }
+
+    client.stream.write(formatEvent('ready', {
+      height: this.blockchain.getLatestBlock().index,
+      resumed: true,
+      replayedFrom: null,
+      truncated: false
+    }, this.nextEventId()));
+  }
+
+  // 补发已上链的区块，超过上限时只补发最近的 MAX_REPLAY_BLOCKS 个区块
+  // 补发的事件使用新的 id，不写入事件记录
+  replay(client, fromHeight) {
+    const tip = this.blockchain.getLatestBlock().index;
+    const replayFrom = Math.max(fromHeight, tip - MAX_REPLAY_BLOCKS + 1);
+
+    for (const block of this.blockchain.chain.slice(replayFrom)) {
+      for (const entry of this.getBlockEvents(block)) {
+        if (isSubscribed(client, entry)) {
+          client.stream.write(formatEvent(entry.event, entry.data, this.nextEventId()));
+        }
+      }
+    }
+
+    client.stream.write(formatEvent('ready', {
+      height: tip,
+      resumed: false,
+      replayedFrom: replayFrom,
+      truncated: replayFrom > fromHeight
+    }, this.nextEventId()));
+  }
+
+  // 写入客户端，服务端缓冲超过上限时断开连接
+  send(client, chunk) {
+    if (!client.stream.write(chunk)) {
+      console.warn('事件订阅客户端读取过慢，已断开连接');
+      this.clients.delete(client);
+      client.stream.destroy();
+    }
+  }
+
+  // 分配 id、写入事件记录并推送给订阅了该主题的客户端
+  publish(event, data, { topic, address = null }) {
+    const id = this.nextEventId();
+    const entry = { topic, address, chunk: formatEvent(event, data, id) };
+
+    this.history.set(id, entry);
+    if (this.history.size > MAX_HISTORY_EVENTS) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    for (const client of this.clients) {
+      if (isSubscribed(client, entry)) {
+        this.send(client, entry.chunk);
+      }
+    }
+  }
+
+  // 区块对应的事件：区块本身和其中每笔交易涉及的地址
+  getBlockEvents(block) {
+    const events = [{ event: 'block', data: describeBlock(block), topic: 'blocks', address: null }];
+
+    for (const tx of block.transactions) {
+      for (const address of getTransactionAddresses(tx)) {
+        events.push({
+          event: 'address',
+          data: {
+            address,
+            status: 'confirmed',
+            direction: getDirection(tx, address),
+            hash: tx.calculateHash(),
+            blockIndex: block.index,
+            transaction: tx
+          },
+          topic: 'address',
+          address
+        });
+      }
+    }
+    return events;
+  }
+
+  publishBlock(block) {
+    for (const { event, data, topic, address } of this.getBlockEvents(block)) {
+      this.publish(event, data, { topic, address });
+    }
+  }
+
+  publishPendingTransaction(tx) {
+    const hash = tx.calculateHash();
+
+    this.publish('transaction', { hash, transaction: tx }, { topic: 'pending' });
+    for (const address of getTransactionAddresses(tx)) {
+      this.publish('address', {
+        address,
+        status: 'pending',
+        direction: getDirection(tx, address),
+        hash,
+        blockIndex: null,
+        transaction: tx
+      }, { topic: 'address', address });
+    }
+  }
+
+  publishRemovedTransactions(txs, reason) {
+    const hashes = txs.map((tx) => tx.calculateHash());
+
+    this.publish('transactionsRemoved', { reason, hashes }, { topic: 'pending' });
+    txs.forEach((tx, i) => {
+      for (const address of getTransactionAddresses(tx)) {
+        this.publish('address', {
+          address,
+          status: 'removed',
+          reason,
+          direction: getDirection(tx, address),
+          hash: hashes[i],
+          blockIndex: null,
+          transaction: tx
+        }, { topic: 'address', address });
+      }
+    });
+  }
+}
+
+module.exports = {
+  EventStream,
+  MAX_CLIENTS
+};
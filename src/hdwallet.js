@@ -0,0 +1,145 @@
+// blockchain-server/src/hdwallet.js
+// 分层确定性钱包：BIP39 助记词生成种子，按 BIP32 从种子派生任意多个 secp256k1 私钥。
+// 派生出的私钥通过 Wallet.fromPrivateKey 计算地址，与普通钱包的地址规则完全一致。
+const crypto = require('crypto');
+const bip39 = require('bip39');
+const secp256k1 = require('secp256k1');
+const { Buffer } = require('buffer');
+const { Wallet } = require('./blockchain');
+
+// 硬化派生的索引起点
+const HARDENED_OFFSET = 0x80000000;
+// 派生路径前缀 m/44'/1'/0'/0，地址索引追加在末尾（币种 1 为 SLIP-44 中的测试网）
+const DEFAULT_BASE_PATH = "m/44'/1'/0'/0";
+// 助记词熵的位数：128 位对应 12 个单词，256 位对应 24 个单词
+const ALLOWED_STRENGTHS = [128, 160, 192, 224, 256];
+
+function hmacSha512(key, data) {
+  return crypto.createHmac('sha512', key).update(data).digest();
+}
+
+// 由种子生成主密钥
+function masterKeyFromSeed(seed) {
+  const I = hmacSha512(Buffer.from('Bitcoin seed'), seed);
+  const privateKey = I.subarray(0, 32);
+
+  if (!secp256k1.privateKeyVerify(privateKey)) {
+    throw new Error('种子生成的主密钥无效');
+  }
+  return { privateKey, chainCode: I.subarray(32) };
+}
+
+// 派生第 index 个子私钥（CKDpriv）
+function deriveChild(parent, index) {
+  const indexBuffer = Buffer.alloc(4);
+  indexBuffer.writeUInt32BE(index);
+
+  // 硬化派生使用私钥，普通派生使用压缩公钥
+  const data = index >= HARDENED_OFFSET
+    ? Buffer.concat([Buffer.alloc(1), parent.privateKey, indexBuffer])
+    : Buffer.concat([Buffer.from(secp256k1.publicKeyCreate(parent.privateKey, true)), indexBuffer]);
+
+  const I = hmacSha512(parent.chainCode, data);
+  const tweak = I.subarray(0, 32);
+
+  // 子私钥 = (父私钥 + IL) mod n，结果无效的概率可以忽略，按 BIP32 直接报错
+  const privateKey = Buffer.from(secp256k1.privateKeyTweakAdd(Buffer.from(parent.privateKey), tweak));
+  return { privateKey, chainCode: I.subarray(32) };
+}
+
+// 解析派生路径，例如 m/44'/1'/0'/0/5
+function parsePath(path) {
+  const segments = path.split('/');
+  if (segments[0] !== 'm') {
+    throw new Error(`无效的派生路径: ${path}`);
+  }
+
+  return segments.slice(1).map((segment) => {
+    const match = /^(\d+)('?)$/.exec(segment);
+    if (!match || Number(match[1]) >= HARDENED_OFFSET) {
+      throw new Error(`无效的派生路径: ${path}`);
+    }
+    return Number(match[1]) + (match[2] ? HARDENED_OFFSET : 0);
+  });
+}
+
+class HDWallet {
+  constructor(mnemonic, passphrase = '') {
+    const normalized = HDWallet.normalizeMnemonic(mnemonic);
+    if (!bip39.validateMnemonic(normalized)) {
+      throw new Error('无效的助记词');
+    }
+
+    this.mnemonic = normalized;
+    this.masterKey = masterKeyFromSeed(bip39.mnemonicToSeedSync(normalized, passphrase));
+    // 钱包标识：主公钥哈希的前16位，不暴露任何私密信息
+    this.id = crypto
+      .createHash('sha256')
+      .update(Buffer.from(secp256k1.publicKeyCreate(this.masterKey.privateKey)))
+      .digest('hex')
+      .substring(0, 16);
+    this.basePath = DEFAULT_BASE_PATH;
+    // 已派生的地址，下标即地址索引
+    this.accounts = [];
+  }
+
+  static normalizeMnemonic(mnemonic) {
+    if (!mnemonic || typeof mnemonic !== 'string') {
+      throw new Error('助记词必须是字符串');
+    }
+    return mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+  }
+
+  // 生成新的助记词钱包
+  static generate(strength = 128, passphrase = '') {
+    if (!ALLOWED_STRENGTHS.includes(strength)) {
+      throw new Error(`助记词强度必须是 ${ALLOWED_STRENGTHS.join('/')} 之一`);
+    }
+    return new HDWallet(bip39.generateMnemonic(strength), passphrase);
+  }
+
+  // 从助记词恢复钱包
+  static fromMnemonic(mnemonic, passphrase = '') {
+    return new HDWallet(mnemonic, passphrase);
+  }
+
+  // 按路径派生私钥
+  derivePath(path) {
+    return parsePath(path).reduce((key, index) => deriveChild(key, index), this.masterKey);
+  }
+
+  // 派生第 index 个地址对应的钱包
+  deriveWallet(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+      throw new Error('地址索引必须是非负整数');
+    }
+
+    const { privateKey } = this.derivePath(`${this.basePath}/${index}`);
+    const wallet = new Wallet();
+    wallet.fromPrivateKey(privateKey.toString('hex'));
+    return wallet;
+  }
+
+  // 派生下一个地址
+  deriveNext() {
+    const index = this.accounts.length;
+    const wallet = this.deriveWallet(index);
+
+    this.accounts.push({
+      index,
+      path: `${this.basePath}/${index}`,
+      address: wallet.address,
+      publicKey: wallet.publicKey
+    });
+    return { wallet, account: this.accounts[index] };
+  }
+
+  getAccounts() {
+    return this.accounts.slice();
+  }
+}
+
+module.exports = {
+  HDWallet,
+  DEFAULT_BASE_PATH
+};
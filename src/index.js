@@ -3,18 +3,90 @@ const Koa = require('koa');
 const Router = require('@koa/router');
 const bodyParser = require('koa-bodyparser');
 const cors = require('@koa/cors');
+const path = require('path');
 const { Blockchain, Transaction, Wallet } = require('./blockchain');
+const { ChainStorage } = require('./storage');
+const { P2PNode } = require('./p2p');
+const { Miner } = require('./miner');
+const { HDWallet } = require('./hdwallet');
+const { Keystore } = require('./keystore');
+const { EventStream } = require('./event-stream');
+const { WebhookManager } = require('./webhooks');
+const { normalizeMultisigPolicy, getMultisigAddress, checkSigner } = require('./multisig');
+const { TRANSACTION_TYPE_ISSUE, getAssetId, normalizeTokenMetadata } = require('./assets');
+const { TRANSACTION_VERSION, canonicalize } = require('./serialization');
+const { parseAmount, formatAmount } = require('./amount');
+const { DEFAULT_NETWORK, loadNetworkConfig } = require('./network');
 
 // 初始化应用程序
 const app = new Koa();
 const router = new Router();
 const PORT = process.env.PORT || 3001;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+// 本节点对外地址及启动时连接的节点列表（逗号分隔）
+const NODE_URL = process.env.NODE_URL || `http://localhost:${PORT}`;
+const BOOTSTRAP_PEERS = (process.env.PEERS || '').split(',').map((url) => url.trim()).filter(Boolean);
+// 单次请求最多返回的区块头数量
+const MAX_HEADERS_PER_REQUEST = 500;
+// 清理过期待处理交易和多签交易的间隔（毫秒）
+const PENDING_PRUNE_INTERVAL = 60 * 1000;
+// 每个多签地址最多同时收集签名的交易数（按地址限制，其他人创建的交易不会占满所有多签地址的额度）
+const MAX_PARTIAL_TRANSACTIONS_PER_ADDRESS = 20;
+// 服务端签名（使用节点密钥库中已解锁的钱包）仅用于开发调试，生产环境应使用 POST /api/transaction/signed
+const SERVER_SIGNING_ENABLED = process.env.ENABLE_SERVER_SIGNING === 'true';
 
-// 创建区块链实例
-const blockchainInstance = new Blockchain();
+// 网络配置：NETWORK 为预置网络名称（config/networks 下的文件名），NETWORK_CONFIG 为自定义配置文件路径
+let network;
+try {
+  network = loadNetworkConfig(process.env.NETWORK_CONFIG || process.env.NETWORK || DEFAULT_NETWORK);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-// 存储钱包映射表，在实际应用中应该使用数据库
-const wallets = new Map();
+// 创建区块链实例（区块和待处理交易持久化到本地文件）
+const blockchainInstance = new Blockchain({
+  network,
+  storage: new ChainStorage(DATA_DIR),
+  maxTransactionsPerBlock: Number(process.env.MAX_BLOCK_TRANSACTIONS) || undefined,
+  maxPendingPerSender: Number(process.env.MAX_PENDING_PER_SENDER) || undefined,
+  pendingTransactionTTL: Number(process.env.PENDING_TRANSACTION_TTL) || undefined
+});
+
+try {
+  blockchainInstance.loadFromStorage();
+} catch (error) {
+  console.error('加载区块链失败:', error.message);
+  process.exit(1);
+}
+
+// 节点网络
+const p2pNode = new P2PNode(blockchainInstance, NODE_URL);
+
+// 后台挖矿，挖出的区块广播给其他节点
+const miner = new Miner(blockchainInstance);
+miner.on('mined', (block) => p2pNode.broadcastBlock(block));
+
+// 实时事件推送
+const eventStream = new EventStream(blockchainInstance);
+
+// Webhook 通知，订阅和投递记录保存在数据目录中；WEBHOOK_ALLOW_PRIVATE_URLS=true 时允许回调本机和内网地址（仅用于开发）
+const webhookManager = new WebhookManager(blockchainInstance, {
+  file: path.join(DATA_DIR, 'webhooks.json'),
+  deliveriesFile: path.join(DATA_DIR, 'webhook-deliveries.json'),
+  allowPrivateAddresses: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+});
+
+// 加密密钥库，私钥只以密文形式保存在磁盘上
+const keystore = new Keystore(path.join(DATA_DIR, 'keystore'));
+// 收集签名中的多签交易：交易哈希 -> Transaction，保存在数据目录中，重启后可以继续收集签名
+const partialTransactions = new Map(
+  blockchainInstance.storage.loadPartialTransactions().map((data) => {
+    const transaction = Transaction.fromJSON(data);
+    return [transaction.calculateHash(), transaction];
+  })
+);
+prunePartialTransactions();
 
 // 中间件
 app.use(bodyParser());
@@ -35,6 +107,101 @@ app.use(async (ctx, next) => {
   }
 });
 
+// 分页参数，limit 最大为 100
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit };
+}
+
+// 区块摘要（不含交易详情）
+function summarizeBlock(block) {
+  return {
+    ...block.getHeader(),
+    transactionCount: block.transactions.length
+  };
+}
+
+// 代币的小数位数，原生币（asset 为 null）使用网络配置中的 amountDecimals
+function getAssetDecimals(asset) {
+  if (asset === null) {
+    return network.amountDecimals;
+  }
+  const token = blockchainInstance.accountState.getAsset(asset);
+  if (!token) {
+    throw new Error(`代币不存在: ${asset}`);
+  }
+  return token.decimals;
+}
+
+// API 中的金额是十进制字符串（如 "10.5"），按资产的小数位数换算为最小单位
+function parseAssetAmount(value, asset = null) {
+  return parseAmount(value, getAssetDecimals(asset));
+}
+
+function formatAssetAmount(value, asset = null) {
+  return formatAmount(value, getAssetDecimals(asset));
+}
+
+// 多签交易的签名进度
+function describePartialTransaction(transaction) {
+  return {
+    hash: transaction.calculateHash(),
+    transaction,
+    signaturesRequired: transaction.multisig.threshold,
+    signaturesCollected: transaction.signatures.length,
+    ready: transaction.signatures.length >= transaction.multisig.threshold,
+    expiresAt: transaction.timestamp + blockchainInstance.pendingTransactionTTL
+  };
+}
+
+function savePartialTransactions() {
+  blockchainInstance.storage.savePartialTransactions(Array.from(partialTransactions.values()));
+}
+
+// 多签交易与交易池使用相同的有效期，创建后超过有效期仍未提交即丢弃
+function prunePartialTransactions() {
+  const now = Date.now();
+  let removed = 0;
+  
+  for (const [hash, transaction] of partialTransactions) {
+    if (now - transaction.timestamp > blockchainInstance.pendingTransactionTTL) {
+      partialTransactions.delete(hash);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    console.log(`已丢弃 ${removed} 笔过期的多签交易`);
+    savePartialTransactions();
+  }
+}
+
+// 仅在开启服务端签名时可用的路由
+async function requireServerSigning(ctx, next) {
+  if (!SERVER_SIGNING_ENABLED) {
+    ctx.status = 403;
+    ctx.body = {
+      success: false,
+      message: '服务端签名已禁用，请在客户端签名后提交到 POST /api/transaction/signed（开发环境可设置 ENABLE_SERVER_SIGNING=true）'
+    };
+    return;
+  }
+  await next();
+}
+
+// 仅允许本机访问的路由（会让节点向请求中给出的地址发起连接）
+async function requireLocalRequest(ctx, next) {
+  if (!['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(ctx.ip)) {
+    ctx.status = 403;
+    ctx.body = {
+      success: false,
+      message: '该接口只能从本机调用，也可以通过 PEERS 环境变量配置启动时连接的节点'
+    };
+    return;
+  }
+  await next();
+}
+
 // 路由定义
 // 获取区块链信息
 router.get('/api/blockchain', (ctx) => {
@@ -44,33 +211,60 @@ router.get('/api/blockchain', (ctx) => {
       chain: blockchainInstance.chain,
       pendingTransactions: blockchainInstance.pendingTransactions,
       difficulty: blockchainInstance.difficulty,
-      miningReward: blockchainInstance.miningReward
+      miningReward: formatAssetAmount(blockchainInstance.miningReward)
     };
   } catch (error) {
     throw new Error(`获取区块链信息失败: ${error.message}`);
   }
 });
 
-// 创建新钱包
-router.post('/api/wallet/create', (ctx) => {
+// 获取网络配置：链标识、创世区块和共识参数，离线签名时需要使用这里的 chainId
+router.get('/api/network', (ctx) => {
+  try {
+    const { network } = blockchainInstance;
+    
+    ctx.body = {
+      success: true,
+      network: {
+        name: network.name,
+        chainId: network.chainId,
+        amountDecimals: network.amountDecimals,
+        genesisHash: blockchainInstance.chain[0].hash,
+        genesisTimestamp: blockchainInstance.chain[0].timestamp,
+        allocations: network.genesis.allocations.map(({ address, amount }) => ({
+          address,
+          amount: formatAssetAmount(amount)
+        })),
+        miningReward: formatAssetAmount(network.miningReward),
+        halvingInterval: network.halvingInterval,
+        maxSupply: formatAssetAmount(network.maxSupply),
+        difficulty: network.difficulty
+      }
+    };
+  } catch (error) {
+    throw new Error(`获取网络配置失败: ${error.message}`);
+  }
+});
+
+// 创建新钱包，私钥加密保存到密钥库
+router.post('/api/wallet/create', requireServerSigning, async (ctx) => {
   try {
+    const { password } = ctx.request.body;
+    
     const wallet = new Wallet();
     const walletData = wallet.generate();
-    const walletId = walletData.address;
+    const keyData = await keystore.importKey(walletData.privateKey, password);
     
-    // 存储钱包实例
-    wallets.set(walletId, wallet);
-    
-    console.log('新钱包已创建:', walletId);
+    console.log('新钱包已创建:', walletData.address);
     
     ctx.body = {
       success: true,
       wallet: {
         address: walletData.address,
-        publicKey: walletData.publicKey,
-        // 注意：在实际应用中不应该直接返回私钥，这里仅作演示
-        privateKey: walletData.privateKey
-      }
+        publicKey: walletData.publicKey
+      },
+      // 加密后的密钥文件，可作为备份保存
+      keystore: keyData
     };
   } catch (error) {
     console.error('创建钱包失败:', error);
@@ -78,36 +272,209 @@ router.post('/api/wallet/create', (ctx) => {
   }
 });
 
-// 导入已有钱包
-router.post('/api/wallet/import', (ctx) => {
+// 导入已有钱包，私钥加密保存到密钥库
+router.post('/api/wallet/import', requireServerSigning, async (ctx) => {
   try {
-    const { privateKey } = ctx.request.body;
+    const { privateKey, password } = ctx.request.body;
     
     if (!privateKey) {
       throw new Error('私钥必须提供');
     }
     
-    console.log('尝试导入钱包，私钥长度:', privateKey.length);
+    const keyData = await keystore.importKey(privateKey, password);
     
-    const wallet = new Wallet();
-    const walletData = wallet.fromPrivateKey(privateKey);
-    const walletId = walletData.address;
+    console.log('钱包导入成功:', keyData.address);
+    
+    ctx.body = {
+      success: true,
+      wallet: {
+        address: keyData.address,
+        publicKey: keyData.publicKey
+      },
+      keystore: keyData
+    };
+  } catch (error) {
+    console.error('导入钱包失败:', error);
+    throw new Error(`导入钱包失败: ${error.message}`);
+  }
+});
+
+// 列出密钥库中的钱包
+router.get('/api/wallets', requireServerSigning, (ctx) => {
+  try {
+    ctx.body = {
+      success: true,
+      wallets: keystore.listKeys()
+    };
+  } catch (error) {
+    throw new Error(`获取钱包列表失败: ${error.message}`);
+  }
+});
+
+// 用密码解锁钱包，解锁期间可以由服务端签名交易
+router.post('/api/wallet/:address/unlock', requireServerSigning, async (ctx) => {
+  try {
+    const { password, duration } = ctx.request.body;
     
-    // 存储钱包实例
-    wallets.set(walletId, wallet);
+    const status = await keystore.unlock(ctx.params.address, password, duration);
     
-    console.log('钱包导入成功:', walletId);
+    ctx.body = {
+      success: true,
+      ...status
+    };
+  } catch (error) {
+    throw new Error(`解锁钱包失败: ${error.message}`);
+  }
+});
+
+// 立即锁定钱包
+router.post('/api/wallet/:address/lock', requireServerSigning, (ctx) => {
+  try {
+    const { address } = ctx.params;
+    const wasUnlocked = keystore.lock(address);
     
+    ctx.body = {
+      success: true,
+      address,
+      wasUnlocked
+    };
+  } catch (error) {
+    throw new Error(`锁定钱包失败: ${error.message}`);
+  }
+});
+
+// 派生 HD 钱包的下一个地址，私钥用同一密码加密保存到密钥库
+async function deriveNextAddress(hdWallet, password) {
+  const { wallet, account } = hdWallet.deriveNext();
+  if (!keystore.hasKey(wallet.address)) {
+    await keystore.importKey(wallet.privateKey, password);
+  }
+  return account;
+}
+
+// 创建助记词钱包
+router.post('/api/hdwallet/create', requireServerSigning, async (ctx) => {
+  try {
+    const { strength = 128, passphrase = '', password } = ctx.request.body;
+
+    const hdWallet = HDWallet.generate(Number(strength), passphrase);
+    const account = await deriveNextAddress(hdWallet, password);
+    await keystore.saveHDWallet(hdWallet, password, passphrase);
+
+    console.log('新 HD 钱包已创建:', hdWallet.id);
+
     ctx.body = {
       success: true,
       wallet: {
-        address: walletData.address,
-        publicKey: walletData.publicKey
+        id: hdWallet.id,
+        // 注意：助记词可以恢复全部私钥，只在创建时返回一次，由用户自行抄写备份
+        mnemonic: hdWallet.mnemonic,
+        basePath: hdWallet.basePath,
+        accounts: hdWallet.getAccounts()
+      },
+      account
+    };
+  } catch (error) {
+    console.error('创建 HD 钱包失败:', error);
+    throw new Error(`创建 HD 钱包失败: ${error.message}`);
+  }
+});
+
+// 从助记词导入钱包，默认恢复第一个地址
+router.post('/api/hdwallet/import', requireServerSigning, async (ctx) => {
+  try {
+    const { mnemonic, passphrase = '', password, count = 1 } = ctx.request.body;
+    const addressCount = Number(count);
+
+    if (!mnemonic) {
+      throw new Error('助记词必须提供');
+    }
+    if (!Number.isInteger(addressCount) || addressCount < 1 || addressCount > 100) {
+      throw new Error('恢复的地址数量必须是 1 到 100 之间的整数');
+    }
+
+    const hdWallet = HDWallet.fromMnemonic(mnemonic, passphrase);
+    // 重复导入同一个钱包时沿用已派生的地址数量
+    const existing = keystore.getHDWallet(hdWallet.id);
+    const targetCount = Math.max(addressCount, existing ? existing.accounts.length : 0);
+
+    while (hdWallet.accounts.length < targetCount) {
+      await deriveNextAddress(hdWallet, password);
+    }
+    await keystore.saveHDWallet(hdWallet, password, passphrase);
+
+    console.log('HD 钱包导入成功:', hdWallet.id);
+
+    ctx.body = {
+      success: true,
+      wallet: {
+        id: hdWallet.id,
+        basePath: hdWallet.basePath,
+        accounts: hdWallet.getAccounts()
       }
     };
   } catch (error) {
-    console.error('导入钱包失败:', error);
-    throw new Error(`导入钱包失败: ${error.message}`);
+    console.error('导入 HD 钱包失败:', error);
+    throw new Error(`导入 HD 钱包失败: ${error.message}`);
+  }
+});
+
+// 派生下一个地址，需要 HD 钱包的密码
+router.post('/api/hdwallet/:id/derive', requireServerSigning, async (ctx) => {
+  try {
+    if (!keystore.getHDWallet(ctx.params.id)) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: 'HD 钱包不存在' };
+      return;
+    }
+
+    const { password } = ctx.request.body;
+    const hdWallet = await keystore.unlockHDWallet(ctx.params.id, password);
+    const account = await deriveNextAddress(hdWallet, password);
+    keystore.updateHDAccounts(hdWallet);
+
+    console.log(`HD 钱包 ${hdWallet.id} 派生新地址:`, account.address);
+
+    ctx.body = {
+      success: true,
+      walletId: hdWallet.id,
+      account
+    };
+  } catch (error) {
+    throw new Error(`派生地址失败: ${error.message}`);
+  }
+});
+
+// 列出已派生的地址及余额
+router.get('/api/hdwallet/:id/addresses', (ctx) => {
+  try {
+    const hdData = keystore.getHDWallet(ctx.params.id);
+
+    if (!hdData) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: 'HD 钱包不存在' };
+      return;
+    }
+
+    const totalBalance = hdData.accounts.reduce(
+      (sum, account) => sum + blockchainInstance.getBalanceOfAddress(account.address),
+      0n
+    );
+    const accounts = hdData.accounts.map((account) => ({
+      ...account,
+      confirmedBalance: formatAssetAmount(blockchainInstance.getBalanceOfAddress(account.address)),
+      availableBalance: formatAssetAmount(blockchainInstance.getAvailableBalance(account.address))
+    }));
+
+    ctx.body = {
+      success: true,
+      walletId: hdData.id,
+      basePath: hdData.basePath,
+      accounts,
+      totalBalance: formatAssetAmount(totalBalance)
+    };
+  } catch (error) {
+    throw new Error(`获取 HD 钱包地址失败: ${error.message}`);
   }
 });
 
@@ -120,14 +487,20 @@ router.get('/api/wallet/:address/balance', (ctx) => {
       throw new Error('钱包地址必须提供');
     }
     
-    const balance = blockchainInstance.getBalanceOfAddress(address);
+    const confirmedBalance = blockchainInstance.getBalanceOfAddress(address);
+    const pendingOutflow = blockchainInstance.getPendingOutflow(address);
+    const availableBalance = confirmedBalance - pendingOutflow;
     
-    console.log(`钱包 ${address.substring(0, 10)}... 余额: ${balance}`);
+    console.log(`钱包 ${address.substring(0, 10)}... 已确认余额: ${formatAssetAmount(confirmedBalance)}, 可用余额: ${formatAssetAmount(availableBalance)}`);
     
     ctx.body = {
       success: true,
       address,
-      balance
+      // balance 保留为已确认余额，兼容旧客户端
+      balance: formatAssetAmount(confirmedBalance),
+      confirmedBalance: formatAssetAmount(confirmedBalance),
+      availableBalance: formatAssetAmount(availableBalance),
+      pendingOutflow: formatAssetAmount(pendingOutflow)
     };
   } catch (error) {
     console.error('获取余额失败:', error);
@@ -135,17 +508,70 @@ router.get('/api/wallet/:address/balance', (ctx) => {
   }
 });
 
+// 获取钱包nonce
+router.get('/api/wallet/:address/nonce', (ctx) => {
+  try {
+    const { address } = ctx.params;
+    
+    ctx.body = {
+      success: true,
+      address,
+      confirmedNonce: blockchainInstance.getConfirmedNonce(address),
+      nextNonce: blockchainInstance.getNextNonce(address)
+    };
+  } catch (error) {
+    throw new Error(`获取nonce失败: ${error.message}`);
+  }
+});
+
+// 获取钱包各资产余额（原生币和代币）
+router.get('/api/wallet/:address/assets', (ctx) => {
+  try {
+    const { address } = ctx.params;
+    const { accountState } = blockchainInstance;
+    
+    const describeBalance = (asset) => ({
+      confirmedBalance: formatAssetAmount(blockchainInstance.getBalanceOfAddress(address, asset), asset),
+      availableBalance: formatAssetAmount(blockchainInstance.getAvailableBalance(address, asset), asset),
+      pendingOutflow: formatAssetAmount(blockchainInstance.getPendingOutflow(address, asset), asset)
+    });
+    
+    ctx.body = {
+      success: true,
+      address,
+      native: describeBalance(null),
+      assets: accountState.getAssetBalances(address).map(({ asset }) => {
+        const { symbol, name, decimals } = accountState.getAsset(asset);
+        return { asset, symbol, name, decimals, ...describeBalance(asset) };
+      })
+    };
+  } catch (error) {
+    throw new Error(`获取资产余额失败: ${error.message}`);
+  }
+});
+
 // 创建新交易 - 修复版本
-router.post('/api/transaction', (ctx) => {
+router.post('/api/transaction', requireServerSigning, (ctx) => {
   try {
-    const { fromAddress, toAddress, amount, privateKey } = ctx.request.body;
+    const { fromAddress, toAddress, amount, asset = null, fee = '0', lockHeight = 0, lockTime = 0 } = ctx.request.body;
     
     // 验证输入参数
-    if (!fromAddress || !toAddress || !amount || !privateKey) {
-      throw new Error('交易信息不完整：需要发送方地址、接收方地址、金额和私钥');
+    if (!fromAddress || !toAddress || !amount) {
+      throw new Error('交易信息不完整：需要发送方地址、接收方地址和金额');
+    }
+    
+    // 私钥不再随请求提交，只能使用密钥库中已解锁的钱包签名
+    const wallet = keystore.getUnlockedWallet(fromAddress);
+    if (!wallet) {
+      ctx.status = 403;
+      ctx.body = { success: false, message: '发送方钱包未解锁，请先调用 POST /api/wallet/:address/unlock' };
+      return;
     }
     
-    if (typeof amount !== 'number' || amount <= 0) {
+    // 金额按所转资产的小数位数换算，手续费总是原生币
+    const amountUnits = parseAssetAmount(amount, asset);
+    const feeUnits = parseAssetAmount(fee);
+    if (amountUnits === 0n) {
       throw new Error('金额必须是正数');
     }
     
@@ -155,18 +581,28 @@ router.post('/api/transaction', (ctx) => {
       amount: amount
     });
     
-    // 验证发送方余额
-    const senderBalance = blockchainInstance.getBalanceOfAddress(fromAddress);
-    if (senderBalance < amount) {
-      throw new Error(`余额不足。当前余额: ${senderBalance}, 需要: ${amount}`);
-    }
+    // 创建交易，使用发送方的下一个nonce
+    const nonce = blockchainInstance.getNextNonce(fromAddress);
+    const transaction = new Transaction(fromAddress, toAddress, amountUnits, nonce, feeUnits);
+    transaction.chainId = blockchainInstance.chainId;
+    transaction.asset = asset;
+    transaction.lockHeight = lockHeight;
+    transaction.lockTime = lockTime;
     
-    // 创建交易
-    const transaction = new Transaction(fromAddress, toAddress, amount);
+    // 验证发送方每种资产的可用余额（扣除待处理的支出）
+    for (const spentAsset of transaction.getSpentAssets()) {
+      const availableBalance = blockchainInstance.getAvailableBalance(fromAddress, spentAsset);
+      if (availableBalance < transaction.getCost(spentAsset)) {
+        throw new Error(
+          `可用余额不足。可用余额: ${formatAssetAmount(availableBalance, spentAsset)}, ` +
+          `需要: ${formatAssetAmount(transaction.getCost(spentAsset), spentAsset)}`
+        );
+      }
+    }
     
     // 签名交易
     console.log('正在签名交易...');
-    transaction.signTransaction(privateKey);
+    transaction.signTransaction(wallet.privateKey);
     console.log('交易签名完成');
     
     // 验证交易
@@ -181,13 +617,21 @@ router.post('/api/transaction', (ctx) => {
     
     console.log('交易已添加到待处理池，当前待处理交易数:', blockchainInstance.pendingTransactions.length);
     
+    // 广播给其他节点
+    p2pNode.broadcastTransaction(transaction);
+    
     ctx.body = {
       success: true,
       message: '交易创建成功',
       transaction: {
         fromAddress: transaction.fromAddress,
         toAddress: transaction.toAddress,
-        amount: transaction.amount,
+        amount: formatAssetAmount(transaction.amount, asset),
+        asset: transaction.asset,
+        fee: formatAssetAmount(transaction.fee),
+        nonce: transaction.nonce,
+        lockHeight: transaction.lockHeight,
+        lockTime: transaction.lockTime,
         timestamp: transaction.timestamp
       },
       pendingTransactionsCount: blockchainInstance.pendingTransactions.length
@@ -198,94 +642,1043 @@ router.post('/api/transaction', (ctx) => {
   }
 });
 
-// 挖矿
-router.post('/api/mine', (ctx) => {
+// 提交客户端已签名的交易，amount 和 fee 是签名时使用的最小单位整数字符串（见 signer.js）
+router.post('/api/transaction/signed', (ctx) => {
   try {
-    const { minerAddress } = ctx.request.body;
+    const {
+      version = TRANSACTION_VERSION,
+      chainId = null,
+      type = null,
+      fromAddress,
+      toAddress,
+      amount,
+      asset = null,
+      token = null,
+      fee = '0',
+      nonce,
+      lockHeight = 0,
+      lockTime = 0,
+      timestamp,
+      signature,
+      recovery
+    } = ctx.request.body;
     
-    if (!minerAddress) {
-      throw new Error('挖矿地址必须提供');
+    // 验证输入参数
+    if (!fromAddress || !toAddress || !signature) {
+      throw new Error('交易信息不完整：需要发送方地址、接收方地址和签名');
     }
     
-    console.log(`开始挖矿，奖励将发送至: ${minerAddress.substring(0, 10)}...`);
-    console.log(`待处理交易数: ${blockchainInstance.pendingTransactions.length}`);
+    if (!Number.isInteger(timestamp) || !Number.isInteger(recovery)) {
+      throw new Error('时间戳和恢复ID必须是整数');
+    }
     
-    // 开始挖矿
-    const newBlock = blockchainInstance.minePendingTransactions(minerAddress);
+    // 重建交易实例
+    const transaction = Transaction.fromJSON({
+      version,
+      chainId,
+      type,
+      fromAddress,
+      toAddress,
+      amount,
+      asset,
+      token,
+      fee,
+      nonce,
+      lockHeight,
+      lockTime,
+      timestamp,
+      signature: { signature, recovery }
+    });
     
-    console.log(`挖矿完成! 新区块 #${newBlock.index} 已添加`);
-    console.log(`区块包含 ${newBlock.transactions.length} 笔交易`);
+    if (!transaction.isValid()) {
+      throw new Error('交易签名验证失败');
+    }
+    
+    // 添加到待处理交易池（校验nonce和可用余额）
+    blockchainInstance.addTransaction(transaction);
+    
+    // 广播给其他节点
+    p2pNode.broadcastTransaction(transaction);
     
     ctx.body = {
       success: true,
-      message: '挖矿成功!',
-      block: {
-        index: newBlock.index,
-        timestamp: newBlock.timestamp,
-        hash: newBlock.hash,
-        previousHash: newBlock.previousHash,
-        nonce: newBlock.nonce,
-        transactions: newBlock.transactions
-      }
+      message: '交易已提交',
+      hash: transaction.calculateHash(),
+      pendingTransactionsCount: blockchainInstance.pendingTransactions.length
     };
   } catch (error) {
-    console.error('挖矿失败:', error);
-    throw new Error(`挖矿失败: ${error.message}`);
+    console.error('提交已签名交易失败:', error);
+    throw new Error(`提交交易失败: ${error.message}`);
   }
 });
 
-// 获取待处理交易
-router.get('/api/transactions/pending', (ctx) => {
+// 计算多签地址
+router.post('/api/multisig/address', (ctx) => {
   try {
+    const { threshold, publicKeys } = ctx.request.body;
+    const multisig = normalizeMultisigPolicy({ threshold, publicKeys });
+    
     ctx.body = {
       success: true,
-      pendingTransactions: blockchainInstance.pendingTransactions
+      address: getMultisigAddress(multisig),
+      multisig
     };
   } catch (error) {
-    throw new Error(`获取待处理交易失败: ${error.message}`);
+    throw new Error(`计算多签地址失败: ${error.message}`);
   }
 });
 
-// 获取区块链有效性
-router.get('/api/blockchain/validate', (ctx) => {
+// 构建待签名的多签交易，参与者对返回的 hash 签名后逐个提交
+router.post('/api/multisig/transactions', (ctx) => {
   try {
-    const isValid = blockchainInstance.isChainValid();
-    console.log('区块链验证结果:', isValid);
+    const {
+      threshold,
+      publicKeys,
+      toAddress,
+      amount,
+      asset = null,
+      fee = '0',
+      lockHeight = 0,
+      lockTime = 0
+    } = ctx.request.body;
+    const multisig = normalizeMultisigPolicy({ threshold, publicKeys });
+    const fromAddress = getMultisigAddress(multisig);
+    
+    prunePartialTransactions();
+    const pendingForAddress = Array.from(partialTransactions.values())
+      .filter((transaction) => transaction.fromAddress === fromAddress).length;
+    if (pendingForAddress >= MAX_PARTIAL_TRANSACTIONS_PER_ADDRESS) {
+      ctx.status = 429;
+      ctx.body = {
+        success: false,
+        message: `多签地址 ${fromAddress} 收集签名中的交易已达上限 ${MAX_PARTIAL_TRANSACTIONS_PER_ADDRESS}，请先提交或等待过期`
+      };
+      return;
+    }
+    
+    if (!toAddress) {
+      throw new Error('接收方地址必须提供');
+    }
+    const amountUnits = parseAssetAmount(amount, asset);
+    const feeUnits = parseAssetAmount(fee);
+    if (amountUnits === 0n) {
+      throw new Error('金额必须是正数');
+    }
+    
+    // 未指定 nonce 时使用多签地址的下一个 nonce
+    const { nonce = blockchainInstance.getNextNonce(fromAddress) } = ctx.request.body;
+    if (!Number.isInteger(nonce) || nonce < 0) {
+      throw new Error('nonce必须是非负整数');
+    }
+    const transaction = new Transaction(fromAddress, toAddress, amountUnits, nonce, feeUnits);
+    transaction.chainId = blockchainInstance.chainId;
+    transaction.asset = asset;
+    transaction.lockHeight = lockHeight;
+    transaction.lockTime = lockTime;
+    transaction.multisig = multisig;
+    transaction.signatures = [];
+    
+    // 多签地址的已确认余额必须足够支付，没有余额的临时密钥组合无法占用节点的存储
+    for (const spentAsset of transaction.getSpentAssets()) {
+      if (blockchainInstance.getBalanceOfAddress(fromAddress, spentAsset) < transaction.getCost(spentAsset)) {
+        throw new Error(`多签地址余额不足，无法支付${spentAsset ? `代币 ${spentAsset} 的` : ''}金额和手续费`);
+      }
+    }
+    
+    const hash = transaction.calculateHash();
+    partialTransactions.set(hash, transaction);
+    savePartialTransactions();
+    
+    console.log(`多签交易已创建: ${hash}，需要 ${multisig.threshold}/${multisig.publicKeys.length} 个签名`);
     
     ctx.body = {
       success: true,
-      isValid
+      ...describePartialTransaction(transaction)
     };
   } catch (error) {
-    throw new Error(`验证区块链失败: ${error.message}`);
+    throw new Error(`创建多签交易失败: ${error.message}`);
   }
 });
 
-// 调试路由 - 获取详细的区块链状态
-router.get('/api/debug/status', (ctx) => {
+// 查看多签交易的签名进度
+router.get('/api/multisig/transactions/:hash', (ctx) => {
   try {
+    const transaction = partialTransactions.get(ctx.params.hash);
+    
+    if (!transaction) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: '多签交易不存在' };
+      return;
+    }
+    
     ctx.body = {
       success: true,
-      debug: {
-        chainLength: blockchainInstance.chain.length,
-        pendingTransactions: blockchainInstance.pendingTransactions.length,
-        difficulty: blockchainInstance.difficulty,
-        miningReward: blockchainInstance.miningReward,
-        isChainValid: blockchainInstance.isChainValid(),
-        lastBlock: blockchainInstance.getLatestBlock(),
-        walletsCount: wallets.size
-      }
+      ...describePartialTransaction(transaction)
     };
   } catch (error) {
-    throw new Error(`获取调试信息失败: ${error.message}`);
+    throw new Error(`获取多签交易失败: ${error.message}`);
   }
 });
 
-// 使用路由
-app.use(router.routes()).use(router.allowedMethods());
+// 添加一个参与者的签名
+router.post('/api/multisig/transactions/:hash/signatures', (ctx) => {
+  try {
+    const { hash } = ctx.params;
+    const transaction = partialTransactions.get(hash);
+    
+    if (!transaction) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: '多签交易不存在' };
+      return;
+    }
+    
+    const { signature, recovery } = ctx.request.body;
+    const { publicKey, error } = checkSigner(
+      hash,
+      transaction.multisig,
+      transaction.signatures,
+      { signature, recovery }
+    );
+    if (error) {
+      throw new Error(error);
+    }
+    
+    transaction.signatures.push({ signature, recovery });
+    savePartialTransactions();
+    console.log(`多签交易 ${hash.substring(0, 10)}... 收到公钥 ${publicKey.substring(0, 10)}... 的签名`);
+    
+    ctx.body = {
+      success: true,
+      ...describePartialTransaction(transaction)
+    };
+  } catch (error) {
+    throw new Error(`添加签名失败: ${error.message}`);
+  }
+});
 
-// 启动服务器
-app.listen(PORT, () => {
-  console.log(`区块链服务已启动，监听端口: ${PORT}`);
-  console.log(`访问 http://localhost:${PORT}/api/debug/status 查看状态`);
+// 签名达到门限后提交到交易池
+router.post('/api/multisig/transactions/:hash/submit', (ctx) => {
+  try {
+    const { hash } = ctx.params;
+    const transaction = partialTransactions.get(hash);
+    
+    if (!transaction) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: '多签交易不存在' };
+      return;
+    }
+    
+    const { signaturesRequired, signaturesCollected } = describePartialTransaction(transaction);
+    if (signaturesCollected < signaturesRequired) {
+      throw new Error(`签名数量不足：已收集 ${signaturesCollected} 个，需要 ${signaturesRequired} 个`);
+    }
+    
+    // 添加到待处理交易池（校验多签、nonce和可用余额）
+    blockchainInstance.addTransaction(transaction);
+    partialTransactions.delete(hash);
+    savePartialTransactions();
+    
+    // 广播给其他节点
+    p2pNode.broadcastTransaction(transaction);
+    
+    ctx.body = {
+      success: true,
+      message: '多签交易已提交',
+      hash,
+      pendingTransactionsCount: blockchainInstance.pendingTransactions.length
+    };
+  } catch (error) {
+    throw new Error(`提交多签交易失败: ${error.message}`);
+  }
+});
+
+// 撤销自己的待处理交易：普通地址提交 { signature, recovery }，多签地址提交 { signatures }
+// 签名内容见 signer.signCancelRequest
+router.post('/api/transactions/:hash/cancel', (ctx) => {
+  try {
+    const { hash } = ctx.params;
+    
+    if (!blockchainInstance.findPendingTransaction(hash)) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: '待处理池中不存在该交易' };
+      return;
+    }
+    
+    const { signature, recovery, signatures } = ctx.request.body;
+    const authorization = signatures ? { signatures } : { signature, recovery };
+    const removed = blockchainInstance.cancelPendingTransaction(hash, authorization);
+    
+    // 通知其他节点一起撤销
+    p2pNode.broadcastCancel(hash, authorization);
+    
+    ctx.body = {
+      success: true,
+      message: '交易已撤销',
+      removed: removed.map((tx) => tx.calculateHash()),
+      pendingTransactionsCount: blockchainInstance.pendingTransactions.length
+    };
+  } catch (error) {
+    throw new Error(`撤销交易失败: ${error.message}`);
+  }
+});
+
+// 挖矿
+// 在工作线程中挖矿并等待结果，等待期间不阻塞其他请求
+router.post('/api/mine', async (ctx) => {
+  try {
+    const { minerAddress } = ctx.request.body;
+    
+    if (!minerAddress) {
+      throw new Error('挖矿地址必须提供');
+    }
+    
+    console.log(`开始挖矿，奖励将发送至: ${minerAddress.substring(0, 10)}...`);
+    console.log(`待处理交易数: ${blockchainInstance.pendingTransactions.length}`);
+    
+    // 开始挖矿
+    const job = miner.startJob(minerAddress);
+    const newBlock = await job.done;
+    
+    console.log(`挖矿完成! 新区块 #${newBlock.index} 已添加`);
+    console.log(`区块包含 ${newBlock.transactions.length} 笔交易`);
+    
+    ctx.body = {
+      success: true,
+      message: '挖矿成功!',
+      block: {
+        index: newBlock.index,
+        timestamp: newBlock.timestamp,
+        hash: newBlock.hash,
+        previousHash: newBlock.previousHash,
+        merkleRoot: newBlock.merkleRoot,
+        nonce: newBlock.nonce,
+        difficulty: newBlock.difficulty,
+        transactions: newBlock.transactions
+      }
+    };
+  } catch (error) {
+    console.error('挖矿失败:', error);
+    throw new Error(`挖矿失败: ${error.message}`);
+  }
+});
+
+// 开始后台挖矿任务
+router.post('/api/mining/jobs', (ctx) => {
+  try {
+    const { minerAddress } = ctx.request.body;
+    
+    const job = miner.startJob(minerAddress);
+    
+    ctx.status = 202;
+    ctx.body = {
+      success: true,
+      job: Miner.describeJob(job)
+    };
+  } catch (error) {
+    throw new Error(`启动挖矿任务失败: ${error.message}`);
+  }
+});
+
+// 获取挖矿任务列表
+router.get('/api/mining/jobs', (ctx) => {
+  ctx.body = {
+    success: true,
+    jobs: miner.getJobs().map((job) => Miner.describeJob(job))
+  };
+});
+
+// 查询挖矿任务状态和算力
+router.get('/api/mining/jobs/:id', (ctx) => {
+  try {
+    const job = miner.getJob(ctx.params.id);
+    
+    if (!job) {
+      throw new Error('挖矿任务不存在');
+    }
+    
+    ctx.body = {
+      success: true,
+      job: Miner.describeJob(job)
+    };
+  } catch (error) {
+    throw new Error(`获取挖矿任务失败: ${error.message}`);
+  }
+});
+
+// 取消挖矿任务
+router.delete('/api/mining/jobs/:id', (ctx) => {
+  try {
+    const job = miner.cancelJob(ctx.params.id);
+    
+    ctx.body = {
+      success: true,
+      job: Miner.describeJob(job)
+    };
+  } catch (error) {
+    throw new Error(`取消挖矿任务失败: ${error.message}`);
+  }
+});
+
+// 获取待处理交易
+router.get('/api/transactions/pending', (ctx) => {
+  try {
+    ctx.body = {
+      success: true,
+      pendingTransactions: blockchainInstance.pendingTransactions.map((tx) => ({
+        ...tx.toJSON(),
+        hash: tx.calculateHash(),
+        ...blockchainInstance.getTransactionEligibility(tx)
+      }))
+    };
+  } catch (error) {
+    throw new Error(`获取待处理交易失败: ${error.message}`);
+  }
+});
+
+// 根据当前交易池估算手续费
+router.get('/api/fees/estimate', (ctx) => {
+  try {
+    const estimate = blockchainInstance.estimateFees();
+    const formatEstimate = ({ fee, ...rest }) => ({ ...rest, fee: formatAssetAmount(fee) });
+    
+    ctx.body = {
+      success: true,
+      ...estimate,
+      fast: formatEstimate(estimate.fast),
+      normal: formatEstimate(estimate.normal),
+      slow: formatEstimate(estimate.slow)
+    };
+  } catch (error) {
+    throw new Error(`估算手续费失败: ${error.message}`);
+  }
+});
+
+// 分页获取区块列表（最新的在前）
+router.get('/api/blocks', (ctx) => {
+  try {
+    const { page, limit } = parsePagination(ctx.query);
+    
+    ctx.body = {
+      success: true,
+      page,
+      limit,
+      total: blockchainInstance.chain.length,
+      blocks: blockchainInstance.getBlocks(page, limit).map(summarizeBlock)
+    };
+  } catch (error) {
+    throw new Error(`获取区块列表失败: ${error.message}`);
+  }
+});
+
+// 按高度范围获取区块头（不含交易），供轻客户端同步
+router.get('/api/headers', (ctx) => {
+  try {
+    const from = Math.max(parseInt(ctx.query.from, 10) || 0, 0);
+    const count = Math.min(Math.max(parseInt(ctx.query.count, 10) || MAX_HEADERS_PER_REQUEST, 1), MAX_HEADERS_PER_REQUEST);
+    const tip = blockchainInstance.getLatestBlock();
+    
+    ctx.body = {
+      success: true,
+      from,
+      tip: {
+        height: tip.index,
+        hash: tip.hash,
+        work: blockchainInstance.getChainWork()
+      },
+      difficultyParams: blockchainInstance.difficultyParams,
+      headers: blockchainInstance.chain.slice(from, from + count).map((block) => block.getHeader())
+    };
+  } catch (error) {
+    throw new Error(`获取区块头失败: ${error.message}`);
+  }
+});
+
+// 按高度或哈希获取区块
+router.get('/api/blocks/:id', (ctx) => {
+  try {
+    const block = blockchainInstance.getBlock(ctx.params.id);
+    
+    if (!block) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: '区块不存在' };
+      return;
+    }
+    
+    ctx.body = {
+      success: true,
+      block,
+      confirmations: blockchainInstance.getConfirmations(block.index)
+    };
+  } catch (error) {
+    throw new Error(`获取区块失败: ${error.message}`);
+  }
+});
+
+// 按哈希获取交易（已确认或待处理）
+router.get('/api/transactions/:hash', (ctx) => {
+  try {
+    const result = blockchainInstance.getTransaction(ctx.params.hash);
+    
+    if (!result) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: '交易不存在' };
+      return;
+    }
+    
+    ctx.body = {
+      success: true,
+      hash: ctx.params.hash,
+      ...result
+    };
+  } catch (error) {
+    throw new Error(`获取交易失败: ${error.message}`);
+  }
+});
+
+// 获取交易的 Merkle 包含证明（轻客户端可以只凭区块头验证）
+router.get('/api/transactions/:hash/proof', (ctx) => {
+  try {
+    const result = blockchainInstance.getTransactionProof(ctx.params.hash);
+    
+    if (!result) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: '已确认交易中不存在该交易' };
+      return;
+    }
+    
+    ctx.body = {
+      success: true,
+      ...result
+    };
+  } catch (error) {
+    throw new Error(`获取包含证明失败: ${error.message}`);
+  }
+});
+
+// 分页获取地址的交易记录
+router.get('/api/address/:address/transactions', (ctx) => {
+  try {
+    const { address } = ctx.params;
+    const { page, limit } = parsePagination(ctx.query);
+    
+    ctx.body = {
+      success: true,
+      address,
+      page,
+      limit,
+      ...blockchainInstance.getAddressHistory(address, page, limit)
+    };
+  } catch (error) {
+    throw new Error(`获取地址交易记录失败: ${error.message}`);
+  }
+});
+
+// 余额排行榜
+router.get('/api/accounts/top', (ctx) => {
+  try {
+    const { limit } = parsePagination(ctx.query);
+    const { accountState } = blockchainInstance;
+    
+    ctx.body = {
+      success: true,
+      totalSupply: formatAssetAmount(accountState.totalSupply),
+      holders: accountState.getTopHolders(limit).map((holder, i) => ({
+        rank: i + 1,
+        address: holder.address,
+        balance: formatAssetAmount(holder.balance),
+        share: accountState.totalSupply > 0n ? Number(holder.balance) / Number(accountState.totalSupply) : 0
+      }))
+    };
+  } catch (error) {
+    throw new Error(`获取余额排行失败: ${error.message}`);
+  }
+});
+
+// 流通总量和发行计划
+router.get('/api/supply', (ctx) => {
+  try {
+    const { accountState, network } = blockchainInstance;
+    const height = blockchainInstance.chain.length - 1;
+    
+    ctx.body = {
+      success: true,
+      totalSupply: formatAssetAmount(accountState.totalSupply),
+      maxSupply: formatAssetAmount(network.maxSupply),
+      holderCount: accountState.getHolderCount(),
+      height,
+      // 发行计划：下一个区块的补贴、下一次减半的高度（不再减半时为 null）
+      currentSubsidy: formatAssetAmount(blockchainInstance.getBlockReward(height + 1)),
+      halvingInterval: network.halvingInterval,
+      nextHalvingHeight: blockchainInstance.getNextHalvingHeight(height + 1)
+    };
+  } catch (error) {
+    throw new Error(`获取流通总量失败: ${error.message}`);
+  }
+});
+
+// 发行代币（使用密钥库中已解锁的发行方钱包签名）
+router.post('/api/tokens', requireServerSigning, (ctx) => {
+  try {
+    const { issuer, symbol, name = '', decimals = 0, supply, toAddress, fee = '0' } = ctx.request.body;
+    
+    if (!issuer) {
+      throw new Error('发行方地址必须提供');
+    }
+    
+    const wallet = keystore.getUnlockedWallet(issuer);
+    if (!wallet) {
+      ctx.status = 403;
+      ctx.body = { success: false, message: '发行方钱包未解锁，请先调用 POST /api/wallet/:address/unlock' };
+      return;
+    }
+    
+    // 发行量按代币的小数位数换算，记入 toAddress，默认为发行方自己
+    const token = normalizeTokenMetadata({ symbol, name, decimals });
+    const nonce = blockchainInstance.getNextNonce(issuer);
+    const transaction = new Transaction(issuer, toAddress || issuer, parseAmount(supply, token.decimals), nonce, parseAssetAmount(fee));
+    transaction.chainId = blockchainInstance.chainId;
+    transaction.type = TRANSACTION_TYPE_ISSUE;
+    transaction.asset = getAssetId(issuer, nonce);
+    transaction.token = token;
+    transaction.signTransaction(wallet.privateKey);
+    
+    // 添加到待处理交易池（校验代币信息、符号唯一性和手续费余额）
+    blockchainInstance.addTransaction(transaction);
+    p2pNode.broadcastTransaction(transaction);
+    
+    console.log(`代币 ${symbol} 发行交易已提交:`, transaction.asset);
+    
+    ctx.body = {
+      success: true,
+      message: '代币发行交易已提交，打包后生效',
+      asset: transaction.asset,
+      token: transaction.token,
+      supply: formatAmount(transaction.amount, token.decimals),
+      hash: transaction.calculateHash()
+    };
+  } catch (error) {
+    throw new Error(`发行代币失败: ${error.message}`);
+  }
+});
+
+// 列出已发行的代币和待打包的发行交易
+router.get('/api/tokens', (ctx) => {
+  try {
+    const { accountState } = blockchainInstance;
+    
+    ctx.body = {
+      success: true,
+      tokens: accountState.getAssets().map((token) => ({
+        ...token,
+        supply: formatAmount(token.supply, token.decimals),
+        holderCount: accountState.getAssetHolderCount(token.id)
+      })),
+      pending: blockchainInstance.pendingTransactions
+        .filter((tx) => tx.type === TRANSACTION_TYPE_ISSUE)
+        .map((tx) => ({
+          id: tx.asset,
+          ...tx.token,
+          supply: formatAmount(tx.amount, tx.token.decimals),
+          issuer: tx.fromAddress,
+          txHash: tx.calculateHash()
+        }))
+    };
+  } catch (error) {
+    throw new Error(`获取代币列表失败: ${error.message}`);
+  }
+});
+
+// 按代币标识或符号查询代币
+router.get('/api/tokens/:id', (ctx) => {
+  try {
+    const { accountState } = blockchainInstance;
+    const token = accountState.getAsset(ctx.params.id) || accountState.getAssetBySymbol(ctx.params.id);
+    
+    if (!token) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: '代币不存在' };
+      return;
+    }
+    
+    ctx.body = {
+      success: true,
+      token: {
+        ...token,
+        supply: formatAmount(token.supply, token.decimals),
+        holderCount: accountState.getAssetHolderCount(token.id)
+      }
+    };
+  } catch (error) {
+    throw new Error(`获取代币失败: ${error.message}`);
+  }
+});
+
+// 获取区块链有效性
+router.get('/api/blockchain/validate', (ctx) => {
+  try {
+    const isValid = blockchainInstance.isChainValid();
+    console.log('区块链验证结果:', isValid);
+    
+    ctx.body = {
+      success: true,
+      isValid
+    };
+  } catch (error) {
+    throw new Error(`验证区块链失败: ${error.message}`);
+  }
+});
+
+// 主链和已知分叉的末端区块
+router.get('/api/chain/tips', (ctx) => {
+  try {
+    const latestBlock = blockchainInstance.getLatestBlock();
+    
+    ctx.body = {
+      success: true,
+      active: {
+        hash: latestBlock.hash,
+        index: latestBlock.index,
+        chainWork: blockchainInstance.getChainWork()
+      },
+      forks: blockchainInstance.getForkTips()
+    };
+  } catch (error) {
+    throw new Error(`获取分叉信息失败: ${error.message}`);
+  }
+});
+
+// 最近的链重组记录（最新的在前）
+router.get('/api/chain/reorgs', (ctx) => {
+  try {
+    ctx.body = {
+      success: true,
+      reorgs: blockchainInstance.reorgHistory.slice().reverse()
+    };
+  } catch (error) {
+    throw new Error(`获取链重组记录失败: ${error.message}`);
+  }
+});
+
+// 订阅实时事件（Server-Sent Events）
+// topics: 逗号分隔的主题，blocks、pending 或 address:<地址>，默认 blocks,pending
+// fromHeight: 从该高度开始补发已上链的区块；重连时 Last-Event-ID 请求头给出最后收到的事件 id，
+// 该 id 仍在最近的事件记录中时从记录补发，否则按 fromHeight 补发
+router.get('/api/events', (ctx) => {
+  try {
+    const lastEventId = ctx.get('Last-Event-ID') ? Number(ctx.get('Last-Event-ID')) : null;
+    const fromHeight = ctx.query.fromHeight !== undefined ? Number(ctx.query.fromHeight) : null;
+
+    const client = eventStream.subscribe(ctx.query.topics, fromHeight, lastEventId);
+    ctx.req.on('close', () => eventStream.unsubscribe(client));
+    // 客户端读取过慢被断开时关闭连接
+    client.stream.on('close', () => ctx.res.destroy());
+
+    // 长连接不受服务器空闲超时限制
+    ctx.req.socket.setTimeout(0);
+    ctx.req.socket.setNoDelay(true);
+    ctx.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    ctx.status = 200;
+    ctx.body = client.stream;
+  } catch (error) {
+    throw new Error(`订阅事件失败: ${error.message}`);
+  }
+});
+
+// 注册 Webhook：address 和 transactionHash 二选一，签名密钥只在注册时返回
+router.post('/api/webhooks', (ctx) => {
+  try {
+    const { url, address, transactionHash, confirmations, secret } = ctx.request.body;
+    const webhook = webhookManager.register({ url, address, transactionHash, confirmations, secret });
+
+    ctx.body = {
+      success: true,
+      message: 'Webhook 注册成功，请妥善保存签名密钥',
+      webhook
+    };
+  } catch (error) {
+    throw new Error(`注册 Webhook 失败: ${error.message}`);
+  }
+});
+
+// 获取已注册的 Webhook（不含签名密钥）
+router.get('/api/webhooks', (ctx) => {
+  try {
+    ctx.body = {
+      success: true,
+      webhooks: webhookManager.list()
+    };
+  } catch (error) {
+    throw new Error(`获取 Webhook 列表失败: ${error.message}`);
+  }
+});
+
+router.get('/api/webhooks/:id', (ctx) => {
+  try {
+    const webhook = webhookManager.get(ctx.params.id);
+    if (!webhook) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: 'Webhook 不存在' };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      webhook
+    };
+  } catch (error) {
+    throw new Error(`获取 Webhook 失败: ${error.message}`);
+  }
+});
+
+router.delete('/api/webhooks/:id', (ctx) => {
+  try {
+    if (!webhookManager.remove(ctx.params.id)) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: 'Webhook 不存在' };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: 'Webhook 已删除'
+    };
+  } catch (error) {
+    throw new Error(`删除 Webhook 失败: ${error.message}`);
+  }
+});
+
+// Webhook 的投递记录（最新的在前），包含每次尝试的结果和下次重试时间
+router.get('/api/webhooks/:id/deliveries', (ctx) => {
+  try {
+    const deliveries = webhookManager.getDeliveries(ctx.params.id);
+    if (!deliveries) {
+      ctx.status = 404;
+      ctx.body = { success: false, message: 'Webhook 不存在' };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      deliveries
+    };
+  } catch (error) {
+    throw new Error(`获取投递记录失败: ${error.message}`);
+  }
+});
+
+// 调试路由 - 获取详细的区块链状态
+router.get('/api/debug/status', (ctx) => {
+  try {
+    ctx.body = {
+      success: true,
+      debug: {
+        network: blockchainInstance.network.name,
+        chainId: blockchainInstance.chainId,
+        chainLength: blockchainInstance.chain.length,
+        pendingTransactions: blockchainInstance.pendingTransactions.length,
+        difficulty: blockchainInstance.difficulty,
+        difficultyParams: blockchainInstance.difficultyParams,
+        miningReward: formatAssetAmount(blockchainInstance.miningReward),
+        isChainValid: blockchainInstance.isChainValid(),
+        lastBlock: blockchainInstance.getLatestBlock(),
+        walletsCount: keystore.listKeys().length,
+        unlockedWalletsCount: keystore.getUnlockedCount(),
+        hdWalletsCount: keystore.getHDWalletCount(),
+        eventSubscribers: eventStream.getClientCount(),
+        webhooksCount: webhookManager.getCount(),
+        peers: p2pNode.getPeers()
+      }
+    };
+  } catch (error) {
+    throw new Error(`获取调试信息失败: ${error.message}`);
+  }
+});
+
+// 获取已知节点列表
+router.get('/api/peers', (ctx) => {
+  ctx.body = {
+    success: true,
+    self: p2pNode.selfUrl,
+    peers: p2pNode.getPeers()
+  };
+});
+
+// 其他节点在本节点注册自己
+router.post('/api/peers/register', async (ctx) => {
+  try {
+    const { url, chainId } = ctx.request.body;
+    
+    if (!url) {
+      throw new Error('节点地址必须提供');
+    }
+    
+    // 不同网络的节点无法同步，拒绝注册
+    if (chainId !== blockchainInstance.chainId) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `链标识不一致：本节点为 ${blockchainInstance.chainId}，对方为 ${chainId}`,
+        chainId: blockchainInstance.chainId
+      };
+      return;
+    }
+    
+    // 节点地址必须解析到请求来源的 IP，避免借注册让本节点访问其他地址
+    if (!(await p2pNode.verifyPeerAddress(url, ctx.ip))) {
+      ctx.status = 403;
+      ctx.body = {
+        success: false,
+        message: `节点地址 ${url} 与请求来源 ${ctx.ip} 不一致`
+      };
+      return;
+    }
+    
+    // 返回注册前已知的节点，方便对方发现整个网络
+    const peers = p2pNode.getPeers();
+    p2pNode.addPeer(url);
+    
+    ctx.body = {
+      success: true,
+      self: p2pNode.selfUrl,
+      chainId: blockchainInstance.chainId,
+      peers
+    };
+  } catch (error) {
+    throw new Error(`注册节点失败: ${error.message}`);
+  }
+});
+
+// 让本节点主动连接另一个节点
+router.post('/api/peers/connect', requireLocalRequest, async (ctx) => {
+  try {
+    const { url } = ctx.request.body;
+    
+    if (!url) {
+      throw new Error('节点地址必须提供');
+    }
+    
+    const peers = await p2pNode.connectToPeer(url);
+    
+    ctx.body = {
+      success: true,
+      peers,
+      chainLength: blockchainInstance.chain.length
+    };
+  } catch (error) {
+    throw new Error(`连接节点失败: ${error.message}`);
+  }
+});
+
+// 同步接口：提供完整链给其他节点比较
+router.get('/api/p2p/chain', (ctx) => {
+  // 节点间传输使用规范化编码
+  ctx.type = 'application/json';
+  ctx.body = canonicalize({
+    success: true,
+    chain: blockchainInstance.chain,
+    length: blockchainInstance.chain.length,
+    work: blockchainInstance.getChainWork()
+  });
+});
+
+// 手动触发与所有节点同步
+router.post('/api/p2p/sync', async (ctx) => {
+  try {
+    const replaced = await p2pNode.syncWithPeers();
+    
+    ctx.body = {
+      success: true,
+      replaced,
+      chainLength: blockchainInstance.chain.length
+    };
+  } catch (error) {
+    throw new Error(`同步失败: ${error.message}`);
+  }
+});
+
+// 接收其他节点广播的区块
+router.post('/api/p2p/block', async (ctx) => {
+  try {
+    const { block, sender } = ctx.request.body;
+    
+    if (!block) {
+      throw new Error('区块数据必须提供');
+    }
+    
+    const result = await p2pNode.handleBlock(block, sender, ctx.ip);
+    
+    ctx.body = {
+      success: true,
+      result
+    };
+  } catch (error) {
+    throw new Error(`处理区块失败: ${error.message}`);
+  }
+});
+
+// 接收其他节点广播的交易
+router.post('/api/p2p/transaction', (ctx) => {
+  try {
+    const { transaction, sender } = ctx.request.body;
+    
+    if (!transaction) {
+      throw new Error('交易数据必须提供');
+    }
+    
+    const added = p2pNode.handleTransaction(transaction, sender);
+    
+    ctx.body = {
+      success: true,
+      added
+    };
+  } catch (error) {
+    throw new Error(`处理交易失败: ${error.message}`);
+  }
+});
+
+// 接收其他节点广播的撤销请求
+router.post('/api/p2p/cancel', (ctx) => {
+  try {
+    const { hash, authorization, sender } = ctx.request.body;
+    
+    if (!hash || !authorization) {
+      throw new Error('撤销请求必须包含交易哈希和签名');
+    }
+    
+    const cancelled = p2pNode.handleCancel(hash, authorization, sender);
+    
+    ctx.body = {
+      success: true,
+      cancelled
+    };
+  } catch (error) {
+    throw new Error(`处理撤销请求失败: ${error.message}`);
+  }
+});
+
+// 使用路由
+app.use(router.routes()).use(router.allowedMethods());
+
+// 定期清理交易池和收集签名中的过期交易
+setInterval(() => {
+  blockchainInstance.prunePendingTransactions();
+  prunePartialTransactions();
+}, PENDING_PRUNE_INTERVAL);
+
+// 启动服务器
+app.listen(PORT, () => {
+  console.log(`区块链服务已启动，监听端口: ${PORT}`);
+  console.log(`数据目录: ${DATA_DIR}`);
+  console.log(`访问 http://localhost:${PORT}/api/debug/status 查看状态`);
+  
+  // 连接启动参数中指定的节点
+  for (const peerUrl of BOOTSTRAP_PEERS) {
+    p2pNode.connectToPeer(peerUrl).catch((error) => {
+      console.warn(`连接节点 ${peerUrl} 失败:`, error.message);
+    });
+  }
 });
\ No newline at end of file
@@ -0,0 +1,285 @@
+// blockchain-server/src/keystore.js
+// 加密密钥库：私钥和助记词只以密文形式保存在磁盘上，使用时需要用密码解锁，解锁在限定时间后自动失效。
+// 加密方式：scrypt 从密码派生 256 位密钥，再用 AES-256-GCM 加密；地址或钱包标识作为附加认证数据，
+// 密文被挪到其他文件时无法解密。
+//
+// 目录结构:
+//   <keystoreDir>/<address>.json     单个私钥
+//   <keystoreDir>/hd-<id>.json       HD 钱包的助记词和已派生地址
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { Buffer } = require('buffer');
+const { Wallet } = require('./blockchain');
+const { HDWallet } = require('./hdwallet');
+const { canonicalize } = require('./serialization');
+const { writeFileAtomic } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+// scrypt 参数：N = 2^14 时单次派生约几十毫秒，内存占用 16MB
+const KDF_PARAMS = { n: 16384, r: 8, p: 1, dklen: 32 };
+const CIPHER = 'aes-256-gcm';
+const MIN_PASSWORD_LENGTH = 8;
+// 默认解锁 5 分钟，最长 1 小时
+const DEFAULT_UNLOCK_DURATION = 5 * 60 * 1000;
+const MAX_UNLOCK_DURATION = 60 * 60 * 1000;
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`密码必须是至少 ${MIN_PASSWORD_LENGTH} 个字符的字符串`);
+  }
+}
+
+function deriveKey(password, kdfparams) {
+  const { n, r, p, dklen, salt } = kdfparams;
+  return scrypt(password, Buffer.from(salt, 'hex'), dklen, { N: n, r, p });
+}
+
+// 加密明文，返回可直接写入密钥文件的 crypto 字段
+async function encryptSecret(plaintext, password, associatedData) {
+  checkPassword(password);
+
+  const kdfparams = { ...KDF_PARAMS, salt: crypto.randomBytes(32).toString('hex') };
+  const key = await deriveKey(password, kdfparams);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(associatedData));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    cipher: CIPHER,
+    cipherparams: { iv: iv.toString('hex') },
+    ciphertext: ciphertext.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    kdf: 'scrypt',
+    kdfparams
+  };
+}
+
+// 解密 crypto 字段，密码错误或密文被篡改时报错
+async function decryptSecret(params, password, associatedData) {
+  if (params.cipher !== CIPHER || params.kdf !== 'scrypt') {
+    throw new Error(`不支持的加密方式: ${params.cipher}/${params.kdf}`);
+  }
+  if (typeof password !== 'string') {
+    throw new Error('密码必须是字符串');
+  }
+
+  const key = await deriveKey(password, params.kdfparams);
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(params.cipherparams.iv, 'hex'));
+    decipher.setAAD(Buffer.from(associatedData));
+    decipher.setAuthTag(Buffer.from(params.authTag, 'hex'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(params.ciphertext, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('密码错误或密钥文件已损坏');
+  }
+}
+
+function normalizeDuration(duration) {
+  if (duration === undefined || duration === null) {
+    return DEFAULT_UNLOCK_DURATION;
+  }
+  if (!Number.isInteger(duration) || duration <= 0 || duration > MAX_UNLOCK_DURATION) {
+    throw new Error(`解锁时长必须是 1 到 ${MAX_UNLOCK_DURATION} 毫秒之间的整数`);
+  }
+  return duration;
+}
+
+class Keystore {
+  constructor(keystoreDir) {
+    if (!keystoreDir) {
+      throw new Error('必须提供密钥库目录');
+    }
+
+    this.keystoreDir = keystoreDir;
+    // 已解锁的钱包只保存在内存中：地址 -> { wallet, expiresAt }
+    this.unlocked = new Map();
+
+    fs.mkdirSync(this.keystoreDir, { recursive: true, mode: 0o700 });
+  }
+
+  keyFile(address) {
+    if (!/^[0-9a-f]{64}$/.test(address)) {
+      throw new Error('无效的钱包地址');
+    }
+    return path.join(this.keystoreDir, `${address}.json`);
+  }
+
+  hdFile(id) {
+    if (!/^[0-9a-f]{16}$/.test(id)) {
+      throw new Error('无效的 HD 钱包标识');
+    }
+    return path.join(this.keystoreDir, `hd-${id}.json`);
+  }
+
+  // 文件权限仅限当前用户
+  writeJSON(file, data) {
+    writeFileAtomic(file, canonicalize(data), 0o600);
+  }
+
+  readJSON(file) {
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`读取密钥文件失败 ${path.basename(file)}: ${error.message}`);
+    }
+  }
+
+  hasKey(address) {
+    return fs.existsSync(this.keyFile(address));
+  }
+
+  // 读取密钥文件（只含密文，可以安全地返回给客户端作备份）
+  getKey(address) {
+    return this.readJSON(this.keyFile(address));
+  }
+
+  // 加密保存私钥，返回密钥文件内容
+  async importKey(privateKey, password) {
+    const wallet = new Wallet();
+    wallet.fromPrivateKey(privateKey);
+
+    if (this.hasKey(wallet.address)) {
+      throw new Error(`钱包 ${wallet.address} 已存在于密钥库中`);
+    }
+
+    const keyData = {
+      version: KEYSTORE_VERSION,
+      id: crypto.randomUUID(),
+      address: wallet.address,
+      publicKey: wallet.publicKey,
+      crypto: await encryptSecret(wallet.privateKey, password, wallet.address)
+    };
+
+    this.writeJSON(this.keyFile(wallet.address), keyData);
+    console.log('钱包已加密保存到密钥库:', wallet.address);
+    return keyData;
+  }
+
+  // 列出密钥库中的钱包及解锁状态
+  listKeys() {
+    return fs
+      .readdirSync(this.keystoreDir)
+      .filter((name) => /^[0-9a-f]{64}\.json$/.test(name))
+      .sort()
+      .map((name) => {
+        const { address, publicKey } = this.readJSON(path.join(this.keystoreDir, name));
+        return { address, publicKey, ...this.getUnlockStatus(address) };
+      });
+  }
+
+  // 用密码解锁钱包，在 duration 毫秒内可用于服务端签名
+  async unlock(address, password, duration) {
+    const unlockDuration = normalizeDuration(duration);
+    const keyData = this.getKey(address);
+    if (!keyData) {
+      throw new Error('密钥库中不存在该钱包');
+    }
+
+    const privateKey = await decryptSecret(keyData.crypto, password, address);
+    const wallet = new Wallet();
+    wallet.fromPrivateKey(privateKey);
+
+    const expiresAt = Date.now() + unlockDuration;
+    this.unlocked.set(address, { wallet, expiresAt });
+    console.log(`钱包 ${address.substring(0, 10)}... 已解锁，有效期至 ${new Date(expiresAt).toISOString()}`);
+    return { address, unlocked: true, expiresAt };
+  }
+
+  lock(address) {
+    return this.unlocked.delete(address);
+  }
+
+  // 获取已解锁的钱包，未解锁或已过期时返回 null
+  getUnlockedWallet(address) {
+    const entry = this.unlocked.get(address);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.unlocked.delete(address);
+      return null;
+    }
+    return entry.wallet;
+  }
+
+  getUnlockStatus(address) {
+    const wallet = this.getUnlockedWallet(address);
+    return {
+      unlocked: wallet !== null,
+      expiresAt: wallet ? this.unlocked.get(address).expiresAt : null
+    };
+  }
+
+  getUnlockedCount() {
+    for (const address of this.unlocked.keys()) {
+      this.getUnlockedWallet(address);
+    }
+    return this.unlocked.size;
+  }
+
+  // 加密保存 HD 钱包的助记词，已派生地址以明文元数据记录
+  async saveHDWallet(hdWallet, password, mnemonicPassphrase = '') {
+    const secret = canonicalize({ mnemonic: hdWallet.mnemonic, passphrase: mnemonicPassphrase });
+
+    const hdData = {
+      version: KEYSTORE_VERSION,
+      id: hdWallet.id,
+      type: 'hd',
+      basePath: hdWallet.basePath,
+      accounts: hdWallet.getAccounts(),
+      crypto: await encryptSecret(secret, password, hdWallet.id)
+    };
+
+    this.writeJSON(this.hdFile(hdWallet.id), hdData);
+    return hdData;
+  }
+
+  // 读取 HD 钱包元数据（不含助记词明文）
+  getHDWallet(id) {
+    return this.readJSON(this.hdFile(id));
+  }
+
+  // 用密码恢复 HD 钱包，用于派生新地址
+  async unlockHDWallet(id, password) {
+    const hdData = this.getHDWallet(id);
+    if (!hdData) {
+      throw new Error('密钥库中不存在该 HD 钱包');
+    }
+
+    const { mnemonic, passphrase } = JSON.parse(await decryptSecret(hdData.crypto, password, id));
+    const hdWallet = HDWallet.fromMnemonic(mnemonic, passphrase);
+    hdWallet.accounts = hdData.accounts;
+    return hdWallet;
+  }
+
+  // 派生新地址后更新元数据，密文部分保持不变
+  updateHDAccounts(hdWallet) {
+    const hdData = this.getHDWallet(hdWallet.id);
+    this.writeJSON(this.hdFile(hdWallet.id), { ...hdData, accounts: hdWallet.getAccounts() });
+  }
+
+  getHDWalletCount() {
+    return fs.readdirSync(this.keystoreDir).filter((name) => /^hd-[0-9a-f]{16}\.json$/.test(name)).length;
+  }
+}
+
+module.exports = {
+  Keystore,
+  encryptSecret,
+  decryptSecret,
+  DEFAULT_UNLOCK_DURATION,
+  MAX_UNLOCK_DURATION
+};
@@ -0,0 +1,172 @@
+// blockchain-server/src/light-client.js
+// 轻客户端：只同步区块头，按与全节点相同的规则校验哈希链接和工作量证明，
+// 再通过 Merkle 包含证明确认交易，不需要下载 GET /api/blockchain 的完整数据。
+//
+// 使用示例:
+//   const client = new LightClient('http://localhost:3001');
+//   await client.sync();
+//   client.getTip();
+//   await client.verifyTransaction(txHash);
+const { getHeaderError } = require('./block-header');
+const { getDifficultyForHeight, normalizeDifficultyParams } = require('./difficulty');
+const { verifyMerkleProof } = require('./merkle');
+
+// 每次请求的区块头数量（与服务端上限一致）
+const DEFAULT_BATCH_SIZE = 500;
+// 请求超时时间（毫秒）
+const REQUEST_TIMEOUT = 10000;
+
+class LightClient {
+  constructor(nodeUrl, options = {}) {
+    this.nodeUrl = nodeUrl.replace(/\/+$/, '');
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    // 难度参数必须与网络配置一致，否则无法校验难度调整；
+    // 未提供时在第一次同步前从节点的 GET /api/network 获取
+    this.difficultyParams = options.difficultyParams
+      ? normalizeDifficultyParams(options.difficultyParams)
+      : null;
+    // 可信的创世区块哈希（见 GET /api/network 的 genesisHash），未提供时信任第一次同步到的创世区块
+    this.genesisHash = options.genesisHash || null;
+    // 已校验的区块头，下标即高度
+    this.headers = [];
+  }
+
+  async request(apiPath) {
+    const response = await fetch(`${this.nodeUrl}${apiPath}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    const data = await response.json();
+    if (!response.ok || data.success === false) {
+      throw new Error(data.message || `节点返回状态码 ${response.status}`);
+    }
+    return data;
+  }
+
+  // 未指定难度参数时使用节点所在网络的配置
+  async loadDifficultyParams() {
+    if (!this.difficultyParams) {
+      const { network } = await this.request('/api/network');
+      this.difficultyParams = normalizeDifficultyParams(network.difficulty);
+    }
+    return this.difficultyParams;
+  }
+
+  // 获取 [from, from + count) 范围内的区块头
+  async fetchHeaders(from, count) {
+    const data = await this.request(`/api/headers?from=${from}&count=${count}`);
+    return data.headers;
+  }
+
+  // 最新的已校验区块头
+  getTip() {
+    return this.headers.length > 0 ? this.headers[this.headers.length - 1] : null;
+  }
+
+  getHeight() {
+    return this.headers.length - 1;
+  }
+
+  getHeader(height) {
+    return this.headers[height] || null;
+  }
+
+  // 累计工作量（与全节点一样累加难度）
+  getChainWork(headers = this.headers) {
+    return headers.reduce((work, header) => work + header.difficulty, 0);
+  }
+
+  // 校验区块头能否接在 headers 的末尾
+  validateHeader(header, headers) {
+    if (header.index === 0) {
+      if (this.genesisHash && header.hash !== this.genesisHash) {
+        throw new Error('创世区块与可信哈希不一致');
+      }
+      return;
+    }
+
+    const expectedDifficulty = getDifficultyForHeight(headers, header.index, this.difficultyParams);
+    const error = getHeaderError(header, headers[header.index - 1], expectedDifficulty);
+    if (error) {
+      throw new Error(`区块头 #${header.index} 校验失败: ${error}`);
+    }
+  }
+
+  // 从本地最新区块头往回找，直到找到仍在节点链上的区块头，返回分叉点之后的高度
+  async findForkPoint() {
+    let height = this.headers.length - 1;
+
+    while (height >= 0) {
+      const from = Math.max(height - this.batchSize + 1, 0);
+      const remoteHeaders = await this.fetchHeaders(from, height - from + 1);
+
+      for (let i = height; i >= from; i--) {
+        const remote = remoteHeaders[i - from];
+        if (remote && remote.hash === this.headers[i].hash) {
+          return i + 1;
+        }
+      }
+      height = from - 1;
+    }
+
+    return 0;
+  }
+
+  // 同步区块头，返回同步后的最新区块头
+  async sync() {
+    await this.loadDifficultyParams();
+
+    // 节点可能已经切换到其他分支，先回退到共同祖先
+    const forkPoint = this.headers.length > 0 ? await this.findForkPoint() : 0;
+    const candidate = this.headers.slice(0, forkPoint);
+
+    for (;;) {
+      const headers = await this.fetchHeaders(candidate.length, this.batchSize);
+
+      for (const header of headers) {
+        this.validateHeader(header, candidate);
+        candidate.push(header);
+      }
+
+      if (headers.length < this.batchSize) {
+        break;
+      }
+    }
+
+    // 只在新链的累计工作量更多时切换，避免被节点回滚到更弱的链
+    if (forkPoint === this.headers.length || this.getChainWork(candidate) > this.getChainWork()) {
+      this.headers = candidate;
+      if (!this.genesisHash && candidate.length > 0) {
+        this.genesisHash = candidate[0].hash;
+      }
+    }
+
+    return this.getTip();
+  }
+
+  // 用 Merkle 包含证明验证交易是否在已同步的区块中
+  async verifyTransaction(txHash) {
+    const data = await this.request(`/api/transactions/${txHash}/proof`);
+    const header = this.getHeader(data.blockIndex);
+
+    // 只信任本地已校验的区块头，不信任节点返回的区块头
+    if (!header || header.hash !== data.header.hash) {
+      return { included: false, reason: '区块头未同步或不在本地最优链上' };
+    }
+
+    if (!verifyMerkleProof(txHash, data.proof, header.merkleRoot)) {
+      return { included: false, reason: 'Merkle 包含证明无效' };
+    }
+
+    return {
+      included: true,
+      blockIndex: header.index,
+      blockHash: header.hash,
+      confirmations: this.getHeight() - header.index + 1
+    };
+  }
+}
+
+module.exports = {
+  LightClient
+};
@@ -0,0 +1,88 @@
+// blockchain-server/src/merkle.js
+// Merkle 树：区块头只保存交易哈希的 Merkle 根，轻客户端凭区块头和包含证明即可验证交易在区块中
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { calculateBlockHash } = require('./block-header');
+
+// 没有交易时的 Merkle 根
+const EMPTY_MERKLE_ROOT = '0'.repeat(64);
+
+// 把两个子节点哈希拼接后计算父节点哈希
+function hashPair(left, right) {
+  return crypto
+    .createHash('sha256')
+    .update(Buffer.from(left + right, 'hex'))
+    .digest('hex');
+}
+
+// 计算上一层节点，节点数为奇数时复制最后一个节点（因此区块校验拒绝重复的交易，见 Block.hasDuplicateTransactions）
+function nextLevel(level) {
+  const parents = [];
+  for (let i = 0; i < level.length; i += 2) {
+    parents.push(hashPair(level[i], i + 1 < level.length ? level[i + 1] : level[i]));
+  }
+  return parents;
+}
+
+// 计算交易哈希列表的 Merkle 根
+function computeMerkleRoot(hashes) {
+  if (hashes.length === 0) {
+    return EMPTY_MERKLE_ROOT;
+  }
+
+  let level = hashes;
+  while (level.length > 1) {
+    level = nextLevel(level);
+  }
+  return level[0];
+}
+
+// 生成第 index 个交易的包含证明：从叶子到根依次需要的兄弟节点
+function getMerkleProof(hashes, index) {
+  if (index < 0 || index >= hashes.length) {
+    throw new Error('交易不在该区块中');
+  }
+
+  const proof = [];
+  let level = hashes;
+  let position = index;
+
+  while (level.length > 1) {
+    const isRight = position % 2 === 1;
+    const siblingIndex = isRight ? position - 1 : position + 1;
+    proof.push({
+      hash: siblingIndex < level.length ? level[siblingIndex] : level[position],
+      position: isRight ? 'left' : 'right'
+    });
+
+    level = nextLevel(level);
+    position = Math.floor(position / 2);
+  }
+
+  return proof;
+}
+
+// 用包含证明从交易哈希重新计算 Merkle 根并比较
+function verifyMerkleProof(txHash, proof, merkleRoot) {
+  let hash = txHash;
+  for (const step of proof) {
+    hash = step.position === 'left' ? hashPair(step.hash, hash) : hashPair(hash, step.hash);
+  }
+  return hash === merkleRoot;
+}
+
+// 轻客户端验证：区块头本身未被篡改，且交易包含在该区块头的 Merkle 根中
+function verifyTransactionInclusion(txHash, proof, header) {
+  if (calculateBlockHash(header) !== header.hash) {
+    return false;
+  }
+  return verifyMerkleProof(txHash, proof, header.merkleRoot);
+}
+
+module.exports = {
+  EMPTY_MERKLE_ROOT,
+  computeMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof,
+  verifyTransactionInclusion
+};
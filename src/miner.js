@@ -0,0 +1,247 @@
+// blockchain-server/src/miner.js
+const crypto = require('crypto');
+const path = require('path');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+const { canonicalize } = require('./serialization');
+
+// 最多保留的历史挖矿任务数
+const MAX_JOB_HISTORY = 50;
+
+// 区块模板中除奖励交易外的交易哈希，用于判断交易池变化后模板是否需要更新
+function getTemplateTransactions(block) {
+  return block.transactions
+    .filter((tx) => tx.fromAddress !== null)
+    .map((tx) => tx.calculateHash())
+    .join(',');
+}
+
+// 挖矿任务管理：每个任务在工作线程中挖矿，可以查询状态和取消
+// 事件:
+//   'mined'  任务挖出的区块已追加到链上
+class Miner extends EventEmitter {
+  constructor(blockchain) {
+    super();
+    this.blockchain = blockchain;
+    this.jobs = new Map();
+    this.currentJob = null;
+
+    // 出现竞争区块时当前区块模板已过时，取消任务；交易池变化时按新的交易重建模板，
+    // 被撤销、替换或过期的交易不会再被本节点打包
+    blockchain.on('block', () => this.cancelCurrentJob('收到新区块'));
+    blockchain.on('chainReplaced', () => this.cancelCurrentJob('本地链已被替换'));
+    blockchain.on('transaction', () => this.refreshCurrentJob('交易池中有新交易'));
+    blockchain.on('transactionsRemoved', (transactions, reason) => {
+      this.refreshCurrentJob(`交易已离开交易池（${reason}）`);
+    });
+  }
+
+  // 开始新的挖矿任务
+  startJob(minerAddress) {
+    if (!minerAddress) {
+      throw new Error('挖矿地址必须提供');
+    }
+    if (this.currentJob) {
+      throw new Error(`已有挖矿任务正在运行: ${this.currentJob.id}`);
+    }
+
+    const block = this.blockchain.createBlockTemplate(minerAddress);
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      minerAddress,
+      blockIndex: block.index,
+      difficulty: block.difficulty,
+      transactionCount: block.transactions.length,
+      startedAt: Date.now(),
+      finishedAt: null,
+      hashes: 0,
+      hashrate: 0,
+      block: null,
+      reason: null,
+      // 正在挖的区块模板、工作线程，以及此前的模板已计算的哈希次数
+      template: null,
+      worker: null,
+      previousHashes: 0
+    };
+
+    job.done = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // 避免没有等待者时出现未处理的 rejection
+    job.done.catch(() => {});
+
+    this.runTemplate(job, block);
+    this.jobs.set(job.id, job);
+    this.currentJob = job;
+    this.trimHistory();
+
+    console.log(`挖矿任务 ${job.id} 已开始，区块 #${block.index}，难度 ${block.difficulty}`);
+    return job;
+  }
+
+  // 在新的工作线程中挖指定的区块模板，替换任务原有的线程，旧线程之后的消息和退出事件不再处理
+  runTemplate(job, block) {
+    if (job.worker) {
+      job.previousHashes = job.hashes;
+      job.worker.terminate();
+    }
+
+    const worker = new Worker(path.join(__dirname, 'mining-worker.js'), {
+      workerData: { block: JSON.parse(canonicalize(block)) }
+    });
+    job.worker = worker;
+    job.template = block;
+    job.blockIndex = block.index;
+    job.difficulty = block.difficulty;
+    job.transactionCount = block.transactions.length;
+
+    worker.on('message', (message) => {
+      if (job.worker !== worker) {
+        return;
+      }
+      job.hashes = job.previousHashes + message.hashes;
+      job.hashrate = Math.round(job.hashes / Math.max((Date.now() - job.startedAt) / 1000, 0.001));
+
+      if (message.type === 'result') {
+        block.nonce = message.nonce;
+        block.hash = message.hash;
+        this.completeJob(job, block);
+      }
+    });
+    worker.on('error', (error) => {
+      if (job.worker === worker) {
+        this.finishJob(job, 'failed', `挖矿线程出错: ${error.message}`);
+      }
+    });
+    worker.on('exit', (code) => {
+      if (job.worker === worker) {
+        this.finishJob(job, 'failed', `挖矿线程意外退出，退出码: ${code}`);
+      }
+    });
+  }
+
+  // 交易池变化后重新挑选交易，模板中的交易有变化时按新模板重新开始。
+  // 每次哈希尝试相互独立，重新开始不损失已有的进度，持续到来的新交易不会让任务无法完成
+  refreshCurrentJob(reason) {
+    const job = this.currentJob;
+    // 链顶已变化时由 block 事件取消任务
+    if (!job || job.template.previousHash !== this.blockchain.getLatestBlock().hash) {
+      return;
+    }
+
+    const block = this.blockchain.createBlockTemplate(job.minerAddress);
+    if (getTemplateTransactions(block) === getTemplateTransactions(job.template)) {
+      return;
+    }
+    console.log(`挖矿任务 ${job.id} 按新的区块模板重新开始: ${reason}`);
+    this.runTemplate(job, block);
+  }
+
+  // 工作线程找到结果后，校验并追加区块
+  completeJob(job, block) {
+    if (job.status !== 'running') {
+      return;
+    }
+
+    // 先结束任务，避免追加区块触发的事件把自己取消
+    this.currentJob = null;
+    try {
+      this.blockchain.addBlock(block);
+      job.block = block;
+      this.finishJob(job, 'completed');
+      this.emit('mined', block);
+    } catch (error) {
+      this.finishJob(job, 'failed', error.message);
+    }
+  }
+
+  // 结束任务并释放工作线程
+  finishJob(job, status, reason = null) {
+    if (job.status !== 'running') {
+      return;
+    }
+
+    job.status = status;
+    job.reason = reason;
+    job.finishedAt = Date.now();
+    job.worker.terminate();
+    if (this.currentJob === job) {
+      this.currentJob = null;
+    }
+
+    if (status === 'completed') {
+      console.log(`挖矿任务 ${job.id} 完成，区块哈希: ${job.block.hash}`);
+      job.resolve(job.block);
+    } else {
+      console.log(`挖矿任务 ${job.id} ${status === 'cancelled' ? '已取消' : '失败'}: ${reason}`);
+      job.reject(new Error(reason));
+    }
+  }
+
+  // 取消指定任务
+  cancelJob(id, reason = '用户取消') {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`挖矿任务不存在: ${id}`);
+    }
+    if (job.status !== 'running') {
+      throw new Error(`挖矿任务已结束，状态: ${job.status}`);
+    }
+
+    this.finishJob(job, 'cancelled', reason);
+    return job;
+  }
+
+  cancelCurrentJob(reason) {
+    if (this.currentJob) {
+      this.finishJob(this.currentJob, 'cancelled', reason);
+    }
+  }
+
+  // 只保留最近的任务记录
+  trimHistory() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= MAX_JOB_HISTORY) {
+        break;
+      }
+      if (job.status !== 'running') {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  getJobs() {
+    return Array.from(this.jobs.values());
+  }
+
+  // 任务的对外展示信息
+  static describeJob(job) {
+    const elapsed = (job.finishedAt || Date.now()) - job.startedAt;
+    return {
+      id: job.id,
+      status: job.status,
+      minerAddress: job.minerAddress,
+      blockIndex: job.blockIndex,
+      difficulty: job.difficulty,
+      transactionCount: job.transactionCount,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      elapsed,
+      hashes: job.hashes,
+      hashrate: job.hashrate,
+      reason: job.reason,
+      block: job.block
+    };
+  }
+}
+
+module.exports = {
+  Miner
+};
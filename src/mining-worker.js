@@ -0,0 +1,30 @@
+// blockchain-server/src/mining-worker.js
+// 挖矿工作线程：在独立线程中搜索满足难度的 nonce，避免阻塞 Koa 事件循环
+const { parentPort, workerData } = require('worker_threads');
+const { Block } = require('./blockchain');
+
+// 每计算多少次哈希汇报一次进度
+const PROGRESS_INTERVAL = 50000;
+
+const block = Block.fromJSON(workerData.block);
+
+let hashes = 0;
+block.nonce = 0;
+block.hash = block.calculateHash();
+
+while (!block.meetsDifficulty()) {
+  block.nonce++;
+  block.hash = block.calculateHash();
+  hashes++;
+
+  if (hashes % PROGRESS_INTERVAL === 0) {
+    parentPort.postMessage({ type: 'progress', hashes });
+  }
+}
+
+parentPort.postMessage({
+  type: 'result',
+  nonce: block.nonce,
+  hash: block.hash,
+  hashes
+});
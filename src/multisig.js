@@ -0,0 +1,114 @@
+// blockchain-server/src/multisig.js
+// 多重签名（M-of-N）地址：地址由公钥集合和签名门限共同决定，
+// 从该地址转出的交易需要集合中至少 M 个不同公钥对交易哈希的签名。
+// 交易本身携带签名策略（门限和公钥列表），校验时先确认策略能推导出发送方地址，再逐个恢复签名公钥。
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+const { Buffer } = require('buffer');
+const { canonicalize } = require('./serialization');
+
+// 单个地址最多包含的公钥数量
+const MAX_MULTISIG_KEYS = 15;
+
+// 统一为压缩格式的十六进制公钥
+function normalizePublicKey(publicKey) {
+  const publicKeyBuffer = typeof publicKey === 'string' && /^[0-9a-fA-F]+$/.test(publicKey)
+    ? Buffer.from(publicKey, 'hex')
+    : null;
+
+  if (!publicKeyBuffer || !secp256k1.publicKeyVerify(publicKeyBuffer)) {
+    throw new Error(`无效的公钥: ${publicKey}`);
+  }
+  return Buffer.from(secp256k1.publicKeyConvert(publicKeyBuffer, true)).toString('hex');
+}
+
+// 校验并规范化签名策略：公钥去重后排序，与提交顺序无关
+function normalizeMultisigPolicy(policy) {
+  if (!policy || !Array.isArray(policy.publicKeys)) {
+    throw new Error('多签策略必须包含公钥列表');
+  }
+
+  const publicKeys = Array.from(new Set(policy.publicKeys.map(normalizePublicKey))).sort();
+  if (publicKeys.length !== policy.publicKeys.length) {
+    throw new Error('多签公钥不能重复');
+  }
+  if (publicKeys.length < 1 || publicKeys.length > MAX_MULTISIG_KEYS) {
+    throw new Error(`多签公钥数量必须在 1 到 ${MAX_MULTISIG_KEYS} 之间`);
+  }
+
+  const { threshold } = policy;
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > publicKeys.length) {
+    throw new Error(`签名门限必须是 1 到 ${publicKeys.length} 之间的整数`);
+  }
+
+  return { threshold, publicKeys };
+}
+
+// 由签名策略计算多签地址，加上类型前缀与单公钥地址区分
+function getMultisigAddress(policy) {
+  const { threshold, publicKeys } = normalizeMultisigPolicy(policy);
+  return crypto
+    .createHash('sha256')
+    .update(canonicalize({ type: 'multisig', threshold, publicKeys }))
+    .digest('hex');
+}
+
+// 从签名中恢复压缩公钥，签名格式无效时返回 null
+function recoverPublicKey(hash, signature) {
+  try {
+    const publicKey = secp256k1.ecdsaRecover(
+      Buffer.from(signature.signature, 'hex'),
+      signature.recovery,
+      Buffer.from(hash, 'hex'),
+      true
+    );
+    return Buffer.from(publicKey).toString('hex');
+  } catch (error) {
+    return null;
+  }
+}
+
+// 检查单个签名是否来自策略中尚未签名的公钥，返回 { publicKey } 或 { error }
+function checkSigner(hash, policy, signatures, signature) {
+  if (!signature || typeof signature.signature !== 'string' || !Number.isInteger(signature.recovery)) {
+    return { error: '签名格式无效：需要 signature 和 recovery' };
+  }
+
+  const publicKey = recoverPublicKey(hash, signature);
+  if (!publicKey || !policy.publicKeys.includes(publicKey)) {
+    return { error: '签名不属于该多签地址的任何公钥' };
+  }
+
+  const signers = signatures.map((existing) => recoverPublicKey(hash, existing));
+  if (signers.includes(publicKey)) {
+    return { error: '该公钥已经签过名' };
+  }
+
+  return { publicKey };
+}
+
+// 校验交易哈希上的多签签名，返回是否满足门限
+function verifyMultisigSignatures(hash, policy, signatures) {
+  const normalized = normalizeMultisigPolicy(policy);
+  if (!Array.isArray(signatures) || signatures.length > normalized.publicKeys.length) {
+    return false;
+  }
+
+  const accepted = [];
+  for (const signature of signatures) {
+    if (checkSigner(hash, normalized, accepted, signature).error) {
+      return false;
+    }
+    accepted.push(signature);
+  }
+  return accepted.length >= normalized.threshold;
+}
+
+module.exports = {
+  MAX_MULTISIG_KEYS,
+  normalizeMultisigPolicy,
+  getMultisigAddress,
+  recoverPublicKey,
+  checkSigner,
+  verifyMultisigSignatures
+};
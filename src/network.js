@@ -0,0 +1,122 @@
+// blockchain-server/src/network.js
+// 网络配置：链标识、创世区块（固定时间戳和预分配）、出块奖励、减半间隔和难度参数。
+// 同一网络的所有节点必须使用相同的配置，否则创世区块哈希不同，无法同步。
+//
+// 预置网络在 config/networks/<名称>.json，也可以传入自定义配置文件的路径。
+// devnet 的两个预分配地址对应私钥 0x00...01 和 0x00...02，仅供本地开发使用。
+//
+// 配置格式:
+//   {
+//     "name": "devnet",
+//     "chainId": "jschain-devnet",                 交易哈希包含链标识，签名不能在其他网络重放
+//     "genesis": {
+//       "timestamp": 1767225600000,                创世区块时间戳（毫秒）
+//       "allocations": [{ "address": "...", "amount": "1000000" }]
+//     },
+//     "amountDecimals": 8,                         原生币的小数位数，决定下面的金额和交易中最小单位的换算
+//     "miningReward": "100",                       初始区块补贴（十进制字符串）
+//     "halvingInterval": 0,                        每隔多少个区块补贴减半，0 表示不减半
+//     "maxSupply": "21000000",                     原生币总量上限（含预分配），达到后只发放手续费
+//     "difficulty": { "initialDifficulty": 16, "targetBlockTime": 5000, "adjustmentInterval": 10 }
+//   }
+//
+// 引入网络配置之前创建的数据目录，创世区块是启动时随机生成的，无法写进配置。
+// 预置的 legacy 网络使用 "genesis": { "fromStorage": true }，沿用数据目录中已有的创世区块，
+// 奖励和难度参数与旧版本的默认值一致（NETWORK=legacy）。
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_AMOUNT_DECIMALS, MAX_DECIMALS, parseAmount } = require('./amount');
+const { normalizeDifficultyParams } = require('./difficulty');
+
+const NETWORKS_DIR = path.join(__dirname, '..', 'config', 'networks');
+const DEFAULT_NETWORK = 'devnet';
+
+// 校验网络配置，金额换算为最小单位的 BigInt
+function normalizeNetworkConfig(config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('网络配置必须是对象');
+  }
+
+  const {
+    name,
+    chainId,
+    genesis,
+    amountDecimals = DEFAULT_AMOUNT_DECIMALS,
+    miningReward,
+    halvingInterval = 0,
+    maxSupply,
+    difficulty
+  } = config;
+  if (typeof name !== 'string' || !name) {
+    throw new Error('网络名称必须提供');
+  }
+  if (typeof chainId !== 'string' || !/^[a-z0-9][a-z0-9-]{0,63}$/.test(chainId)) {
+    throw new Error('链标识必须是 1 到 64 位小写字母、数字或连字符');
+  }
+  if (!genesis || typeof genesis !== 'object') {
+    throw new Error('创世区块配置必须提供');
+  }
+  const fromStorage = genesis.fromStorage === true;
+  if (!fromStorage && (!Number.isInteger(genesis.timestamp) || genesis.timestamp < 0)) {
+    throw new Error('创世区块时间戳必须是非负整数');
+  }
+  if (!Number.isInteger(amountDecimals) || amountDecimals < 0 || amountDecimals > MAX_DECIMALS) {
+    throw new Error(`原生币小数位数必须是 0 到 ${MAX_DECIMALS} 之间的整数`);
+  }
+  if (!Number.isInteger(halvingInterval) || halvingInterval < 0) {
+    throw new Error('减半间隔必须是非负整数');
+  }
+
+  if (fromStorage && genesis.allocations && genesis.allocations.length > 0) {
+    throw new Error('沿用存储中的创世区块时不能配置预分配');
+  }
+  const allocations = (genesis.allocations || []).map(({ address, amount }) => {
+    if (typeof address !== 'string' || !/^[0-9a-f]{64}$/.test(address)) {
+      throw new Error(`无效的预分配地址: ${address}`);
+    }
+    const units = parseAmount(amount, amountDecimals);
+    if (units === 0n) {
+      throw new Error(`预分配金额必须是正数: ${address}`);
+    }
+    return { address, amount: units };
+  });
+
+  const maxSupplyUnits = parseAmount(maxSupply, amountDecimals);
+  if (allocations.reduce((sum, { amount }) => sum + amount, 0n) > maxSupplyUnits) {
+    throw new Error('预分配总额超过总量上限');
+  }
+
+  return {
+    name,
+    chainId,
+    genesis: fromStorage ? { fromStorage, timestamp: null, allocations } : { timestamp: genesis.timestamp, allocations },
+    amountDecimals,
+    miningReward: parseAmount(miningReward, amountDecimals),
+    halvingInterval,
+    maxSupply: maxSupplyUnits,
+    difficulty: normalizeDifficultyParams(difficulty)
+  };
+}
+
+// 按预置网络名称或配置文件路径加载网络配置
+function loadNetworkConfig(nameOrPath = DEFAULT_NETWORK) {
+  const file = /^[a-z0-9-]+$/.test(nameOrPath)
+    ? path.join(NETWORKS_DIR, `${nameOrPath}.json`)
+    : path.resolve(nameOrPath);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`网络配置不存在: ${nameOrPath}`);
+  }
+
+  try {
+    return normalizeNetworkConfig(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new Error(`加载网络配置 ${path.basename(file)} 失败: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  normalizeNetworkConfig,
+  loadNetworkConfig
+};
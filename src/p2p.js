@@ -0,0 +1,239 @@
+// blockchain-server/src/p2p.js
+// 节点间通信：节点注册、区块和交易的广播，以及最长有效链同步
+//
+// 本地多节点测试示例:
+//   PORT=3001 DATA_DIR=./data/node1 npm start
+//   PORT=3002 DATA_DIR=./data/node2 PEERS=http://localhost:3001 npm start
+//   PORT=3003 DATA_DIR=./data/node3 PEERS=http://localhost:3001,http://localhost:3002 npm start
+//
+// 双节点的同步和广播检查可以运行 npm run test:p2p（见 test-p2p.js）
+const dns = require('dns');
+const net = require('net');
+const { Block, Transaction } = require('./blockchain');
+const { canonicalize } = require('./serialization');
+
+// 请求其他节点的超时时间（毫秒）
+const REQUEST_TIMEOUT = 5000;
+// 最多保存的节点数
+const MAX_PEERS = 50;
+
+// 统一节点地址格式，去掉末尾的斜杠
+function normalizeUrl(url) {
+  if (!url || typeof url !== 'string') {
+    throw new Error('节点地址必须是字符串');
+  }
+
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`不支持的节点协议: ${parsed.protocol}`);
+  }
+  return parsed.origin;
+}
+
+// 去掉 IPv4 映射 IPv6 地址的前缀，便于比较
+function normalizeIp(address) {
+  return address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
+
+class P2PNode {
+  constructor(blockchain, selfUrl) {
+    this.blockchain = blockchain;
+    this.selfUrl = normalizeUrl(selfUrl);
+    this.peers = new Set();
+  }
+
+  // 添加节点，返回是否为新节点
+  addPeer(url) {
+    const peerUrl = normalizeUrl(url);
+    if (peerUrl === this.selfUrl || this.peers.has(peerUrl)) {
+      return false;
+    }
+    if (this.peers.size >= MAX_PEERS) {
+      console.warn(`节点数已达上限 ${MAX_PEERS}，忽略节点:`, peerUrl);
+      return false;
+    }
+
+    this.peers.add(peerUrl);
+    console.log('已添加节点:', peerUrl);
+    return true;
+  }
+
+  getPeers() {
+    return Array.from(this.peers);
+  }
+
+  isKnownPeer(url) {
+    try {
+      return this.peers.has(normalizeUrl(url));
+    } catch {
+      return false;
+    }
+  }
+
+  // 检查节点自报的地址是否解析到请求来源的 IP，
+  // 防止他人借注册让本节点向任意地址（如内网服务）发起请求
+  async verifyPeerAddress(url, remoteAddress) {
+    const hostname = new URL(normalizeUrl(url)).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address);
+    return addresses.map(normalizeIp).includes(normalizeIp(remoteAddress));
+  }
+
+  // 向其他节点发送请求并解析JSON响应
+  async request(peerUrl, apiPath, options = {}) {
+    const response = await fetch(`${peerUrl}${apiPath}`, {
+      method: options.method || 'GET',
+      headers: { 'Content-Type': 'application/json' },
+      body: options.body ? canonicalize(options.body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    const data = await response.json();
+    if (!response.ok || data.success === false) {
+      throw new Error(data.message || `节点返回状态码 ${response.status}`);
+    }
+    return data;
+  }
+
+  // 主动连接节点：在对方处注册自己，交换节点列表，然后同步链
+  async connectToPeer(url) {
+    const peerUrl = normalizeUrl(url);
+    if (peerUrl === this.selfUrl) {
+      throw new Error('不能连接到自身');
+    }
+
+    const data = await this.request(peerUrl, '/api/peers/register', {
+      method: 'POST',
+      body: { url: this.selfUrl, chainId: this.blockchain.chainId }
+    });
+    if (data.chainId !== this.blockchain.chainId) {
+      throw new Error(`节点 ${peerUrl} 的链标识 ${data.chainId} 与本节点 ${this.blockchain.chainId} 不一致`);
+    }
+
+    this.addPeer(peerUrl);
+    for (const knownPeer of data.peers || []) {
+      this.addPeer(knownPeer);
+    }
+
+    await this.syncWithPeer(peerUrl);
+    return this.getPeers();
+  }
+
+  // 向所有节点广播，单个节点失败不影响其他节点
+  async broadcast(apiPath, body, excludeUrl = null) {
+    const targets = this.getPeers().filter((peerUrl) => peerUrl !== excludeUrl);
+
+    const results = await Promise.allSettled(
+      targets.map((peerUrl) => this.request(peerUrl, apiPath, { method: 'POST', body }))
+    );
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.warn(`广播到节点 ${targets[i]} 失败:`, result.reason.message);
+      }
+    });
+  }
+
+  broadcastTransaction(transaction, excludeUrl = null) {
+    return this.broadcast(
+      '/api/p2p/transaction',
+      { transaction, sender: this.selfUrl },
+      excludeUrl
+    );
+  }
+
+  broadcastBlock(block, excludeUrl = null) {
+    return this.broadcast('/api/p2p/block', { block, sender: this.selfUrl }, excludeUrl);
+  }
+
+  broadcastCancel(hash, authorization, excludeUrl = null) {
+    return this.broadcast(
+      '/api/p2p/cancel',
+      { hash, authorization, sender: this.selfUrl },
+      excludeUrl
+    );
+  }
+
+  // 处理其他节点广播的交易，返回是否为新交易
+  handleTransaction(data, sender) {
+    const transaction = Transaction.fromJSON(data);
+
+    // 已经在交易池中的交易不再处理，避免广播循环
+    if (this.blockchain.findPendingTransaction(transaction.calculateHash())) {
+      return false;
+    }
+
+    this.blockchain.addTransaction(transaction);
+    this.broadcastTransaction(transaction, sender);
+    return true;
+  }
+
+  // 处理其他节点广播的撤销请求，返回是否撤销了本地交易池中的交易
+  handleCancel(hash, authorization, sender) {
+    if (!this.blockchain.findPendingTransaction(hash)) {
+      return false;
+    }
+
+    this.blockchain.cancelPendingTransaction(hash, authorization);
+    this.broadcastCancel(hash, authorization, sender);
+    return true;
+  }
+
+  // 处理其他节点广播的区块，返回处理结果
+  // source 是请求来源（对方 IP），用于限制单个来源提交的分叉区块数
+  async handleBlock(data, sender, source = null) {
+    const block = Block.fromJSON(data);
+    const result = this.blockchain.receiveBlock(block, source);
+
+    // 接在本地最新区块之后，或使分叉胜出引起重组，继续转发
+    if (result === 'accepted' || result === 'reorg') {
+      this.broadcastBlock(block, sender);
+      return result;
+    }
+    if (result !== 'orphan') {
+      return result;
+    }
+
+    // 父区块未知：对方的链比本地更长时拉取完整链进行比较。
+    // sender 来自请求内容，只向已知节点拉取，不访问任意地址
+    if (block.index > this.blockchain.getLatestBlock().index && this.isKnownPeer(sender)) {
+      const replaced = await this.syncWithPeer(normalizeUrl(sender));
+      if (replaced) {
+        this.broadcastBlock(this.blockchain.getLatestBlock(), sender);
+      }
+      return replaced ? 'synced' : 'rejected';
+    }
+
+    return 'ignored';
+  }
+
+  // 从单个节点获取完整链，满足共识规则时替换本地链
+  async syncWithPeer(peerUrl) {
+    const data = await this.request(peerUrl, '/api/p2p/chain');
+    const chain = data.chain.map((blockData) => Block.fromJSON(blockData));
+    return this.blockchain.replaceChain(chain);
+  }
+
+  // 依次与所有节点同步
+  async syncWithPeers() {
+    let replaced = false;
+
+    for (const peerUrl of this.getPeers()) {
+      try {
+        if (await this.syncWithPeer(peerUrl)) {
+          replaced = true;
+        }
+      } catch (error) {
+        console.warn(`与节点 ${peerUrl} 同步失败:`, error.message);
+      }
+    }
+
+    return replaced;
+  }
+}
+
+module.exports = {
+  P2PNode,
+  normalizeUrl
+};
@@ -0,0 +1,247 @@
+// blockchain-server/src/serialization.js
+// 规范化序列化：哈希、签名、存储和节点间传输统一使用同一种严格 JSON 编码
+//   - 对象的键按字典序排列，不依赖属性创建顺序
+//   - 数字必须是有限值，且十进制表示不能使用科学计数法（如 1e21）
+//   - BigInt 编码为十进制字符串
+//   - 不允许 undefined、函数、Symbol 等无法确定编码的值
+// 交易和区块带有版本号：版本 0 为旧的字符串拼接格式，仅用于校验历史数据
+// 交易版本 1 的金额和手续费是以币为单位的数字，版本 2 起为最小单位的整数（编码为十进制字符串），
+// 版本 3 起编码包含链标识；区块版本与其中的交易版本一致，版本 1 起的区块头编码相同
+//
+// 版本 0 在引入版本号之前改过几次布局，每种布局单独编号，按存储数据中有哪些字段区分，
+// 校验历史数据时按各自的布局计算哈希，区块布局和版本一样不能回退：
+//   交易布局 0: 发送方+接收方+金额+时间戳，没有 nonce 和手续费字段
+//   交易布局 1: 在布局 0 的末尾加上 nonce
+//   交易布局 2: 在布局 1 的末尾加上手续费
+//   区块布局 0: 高度+时间戳+交易JSON+前一个哈希+nonce，没有难度字段，固定要求哈希以两个十六进制0开头
+//   区块布局 1: 在布局 0 的末尾加上难度
+//   区块布局 2: 交易JSON换成 Merkle 根
+const crypto = require('crypto');
+
+const TRANSACTION_VERSION = 3;
+const BLOCK_VERSION = 3;
+const LEGACY_TRANSACTION_LAYOUT_BASIC = 0;
+const LEGACY_TRANSACTION_LAYOUT_NONCE = 1;
+const LEGACY_TRANSACTION_LAYOUT_FEE = 2;
+const LEGACY_BLOCK_LAYOUT_BASIC = 0;
+const LEGACY_BLOCK_LAYOUT_DIFFICULTY = 1;
+const LEGACY_BLOCK_LAYOUT_MERKLE = 2;
+// 布局 0 的区块对应的难度（哈希以两个十六进制0开头）
+const LEGACY_BLOCK_DIFFICULTY = 256;
+
+// 数字能否被规范化编码
+function isCanonicalNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && !/e/i.test(String(value));
+}
+
+// 规范化编码任意值
+function canonicalize(value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (value === null || typeof value === 'boolean') {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'number') {
+    if (!isCanonicalNumber(value)) {
+      throw new Error(`无法规范化编码的数字: ${value}`);
+    }
+    // -0 与 0 编码相同
+    return String(value === 0 ? 0 : value);
+  }
+
+  if (typeof value === 'bigint') {
+    return JSON.stringify(value.toString());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalize(item)).join(',')}]`;
+  }
+
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  throw new Error(`无法规范化编码的值类型: ${typeof value}`);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// 参与哈希的金额和手续费：旧版本交易保留原始的数字，保证历史交易的哈希不变
+function getEncodedAmounts(tx) {
+  return tx.legacyAmounts || { amount: tx.amount, fee: tx.fee };
+}
+
+// 交易签名内容
+function encodeTransaction(tx) {
+  const { amount, fee } = getEncodedAmounts(tx);
+  return canonicalize({
+    v: tx.version,
+    // 链标识（版本 3 起）：同一签名不能在其他网络重放
+    chainId: tx.version >= 3 ? tx.chainId : undefined,
+    type: tx.type || undefined,
+    fromAddress: tx.fromAddress,
+    toAddress: tx.toAddress,
+    amount,
+    // 代币交易的资产标识和发行信息，原生币转账不参与编码
+    asset: tx.asset || undefined,
+    token: tx.token || undefined,
+    fee,
+    nonce: tx.nonce,
+    timestamp: tx.timestamp,
+    // 时间锁只在设置时参与编码，未加锁的交易编码不变
+    lockHeight: tx.lockHeight || undefined,
+    lockTime: tx.lockTime || undefined
+  });
+}
+
+// 区块头编码
+function encodeBlockHeader(header) {
+  return canonicalize({
+    v: header.version,
+    index: header.index,
+    timestamp: header.timestamp,
+    previousHash: header.previousHash,
+    merkleRoot: header.merkleRoot,
+    nonce: header.nonce,
+    difficulty: header.difficulty
+  });
+}
+
+// 计算交易哈希，按版本选择编码方式
+function hashTransaction(tx) {
+  const version = tx.version || 0;
+
+  if (version === 0) {
+    // 旧格式：字段直接拼接
+    const { amount, fee } = getEncodedAmounts(tx);
+    const encodedNonce = hasLegacyNonce(tx) ? tx.nonce : '';
+    const encodedFee = hasLegacyFee(tx) ? fee : '';
+    return sha256(tx.fromAddress + tx.toAddress + amount + tx.timestamp + encodedNonce + encodedFee);
+  }
+  if (version >= 1 && version <= TRANSACTION_VERSION) {
+    return sha256(encodeTransaction(tx));
+  }
+  throw new Error(`不支持的交易版本: ${version}`);
+}
+
+// 撤销待处理交易的请求：发送方对该哈希签名，证明撤销出自本人
+function hashCancelRequest(txHash) {
+  return sha256(canonicalize({ type: 'cancel', transaction: txHash }));
+}
+
+// 按存储数据中的字段判断版本 0 交易的布局
+function getLegacyTransactionLayout(data) {
+  if (data.fee !== undefined) {
+    return LEGACY_TRANSACTION_LAYOUT_FEE;
+  }
+  return data.nonce !== undefined ? LEGACY_TRANSACTION_LAYOUT_NONCE : LEGACY_TRANSACTION_LAYOUT_BASIC;
+}
+
+// 版本 0 交易是否带有 nonce 字段，未标记布局的按最新布局处理
+function hasLegacyNonce(tx) {
+  return !Number.isInteger(tx.legacyLayout) || tx.legacyLayout >= LEGACY_TRANSACTION_LAYOUT_NONCE;
+}
+
+// 版本 0 交易是否带有手续费字段，未标记布局的按最新布局处理
+function hasLegacyFee(tx) {
+  return !Number.isInteger(tx.legacyLayout) || tx.legacyLayout >= LEGACY_TRANSACTION_LAYOUT_FEE;
+}
+
+// 按存储数据中的字段判断版本 0 区块的布局
+function getLegacyBlockLayout(data) {
+  if (data.merkleRoot !== undefined) {
+    return LEGACY_BLOCK_LAYOUT_MERKLE;
+  }
+  return data.difficulty !== undefined ? LEGACY_BLOCK_LAYOUT_DIFFICULTY : LEGACY_BLOCK_LAYOUT_BASIC;
+}
+
+// 区块哈希是否直接覆盖交易（Merkle 根之前的布局）
+function hashesTransactions(header) {
+  return (header.version || 0) === 0 &&
+    Number.isInteger(header.legacyLayout) &&
+    header.legacyLayout < LEGACY_BLOCK_LAYOUT_MERKLE;
+}
+
+// 旧布局区块哈希中的交易JSON：按当时交易对象的字段顺序用 JSON.stringify 编码，
+// 交易没有的字段为 undefined，不会出现在结果中
+function encodeLegacyTransactions(transactions) {
+  return JSON.stringify(transactions.map((tx) => {
+    const { amount, fee } = getEncodedAmounts(tx);
+    return {
+      fromAddress: tx.fromAddress,
+      toAddress: tx.toAddress,
+      amount,
+      fee: hasLegacyFee(tx) ? fee : undefined,
+      nonce: hasLegacyNonce(tx) ? tx.nonce : undefined,
+      timestamp: tx.timestamp,
+      signature: tx.signature && { signature: tx.signature.signature, recovery: tx.signature.recovery }
+    };
+  }));
+}
+
+// 计算区块头哈希，按版本选择编码方式
+function hashBlockHeader(header) {
+  const version = header.version || 0;
+
+  if (hashesTransactions(header)) {
+    // 旧布局的区块哈希覆盖完整交易，只有区块头时无法计算
+    if (!header.transactions) {
+      throw new Error(`区块 #${header.index} 使用旧布局，哈希依赖交易数据，无法只凭区块头校验`);
+    }
+    return sha256(
+      header.index +
+      header.timestamp +
+      encodeLegacyTransactions(header.transactions) +
+      header.previousHash +
+      header.nonce +
+      (header.legacyLayout === LEGACY_BLOCK_LAYOUT_BASIC ? '' : header.difficulty)
+    );
+  }
+  if (version === 0) {
+    // 旧格式：字段直接拼接
+    return sha256(
+      header.index +
+      header.timestamp +
+      header.merkleRoot +
+      header.previousHash +
+      header.nonce +
+      header.difficulty
+    );
+  }
+  if (version >= 1 && version <= BLOCK_VERSION) {
+    return sha256(encodeBlockHeader(header));
+  }
+  throw new Error(`不支持的区块版本: ${version}`);
+}
+
+module.exports = {
+  TRANSACTION_VERSION,
+  BLOCK_VERSION,
+  LEGACY_BLOCK_LAYOUT_BASIC,
+  LEGACY_BLOCK_DIFFICULTY,
+  getLegacyTransactionLayout,
+  hasLegacyNonce,
+  hasLegacyFee,
+  getLegacyBlockLayout,
+  hashesTransactions,
+  isCanonicalNumber,
+  canonicalize,
+  encodeTransaction,
+  encodeBlockHeader,
+  hashTransaction,
+  hashBlockHeader,
+  hashCancelRequest
+};
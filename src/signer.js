@@ -0,0 +1,185 @@
+// blockchain-server/src/signer.js
+// 离线交易签名工具：前端可以在本地签名后，把交易提交到 POST /api/transaction/signed
+// 私钥不会离开客户端。交易哈希与 Transaction.calculateHash 使用同一方案。
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+const { Buffer } = require('buffer');
+const {
+  TRANSACTION_VERSION,
+  hashTransaction,
+  hashCancelRequest
+} = require('./serialization');
+const { parseBaseUnits } = require('./amount');
+const {
+  TRANSACTION_TYPE_ISSUE,
+  getAssetId,
+  normalizeTokenMetadata,
+  isValidTokenAmount
+} = require('./assets');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// 把十六进制私钥转换为 Buffer 并校验
+function toPrivateKeyBuffer(privateKey) {
+  const privateKeyBuffer = Buffer.isBuffer(privateKey)
+    ? privateKey
+    : Buffer.from(privateKey, 'hex');
+
+  if (privateKeyBuffer.length !== 32) {
+    throw new Error('私钥长度必须是32字节');
+  }
+  if (!secp256k1.privateKeyVerify(privateKeyBuffer)) {
+    throw new Error('无效的私钥');
+  }
+  return privateKeyBuffer;
+}
+
+// 计算交易哈希（按交易版本使用规范化编码）
+function calculateTransactionHash(tx) {
+  return hashTransaction(tx);
+}
+
+// 由公钥计算地址（公钥的 SHA-256）
+function getAddressFromPublicKey(publicKey) {
+  const publicKeyBuffer = Buffer.isBuffer(publicKey) ? publicKey : Buffer.from(publicKey);
+  return sha256(publicKeyBuffer);
+}
+
+// 由私钥计算地址
+function getAddressFromPrivateKey(privateKey) {
+  const publicKey = secp256k1.publicKeyCreate(toPrivateKeyBuffer(privateKey));
+  return getAddressFromPublicKey(publicKey);
+}
+
+// 对交易哈希签名，返回签名和恢复ID
+function signHash(hash, privateKey) {
+  const sigObj = secp256k1.ecdsaSign(Buffer.from(hash, 'hex'), toPrivateKeyBuffer(privateKey));
+  return {
+    signature: Buffer.from(sigObj.signature).toString('hex'),
+    recovery: sigObj.recid
+  };
+}
+
+// 构建并签名一笔交易，返回可以直接提交到 POST /api/transaction/signed 的对象
+// nonce 可以通过 GET /api/wallet/:address/nonce 的 nextNonce 获取，
+// 手续费可以参考 GET /api/fees/estimate；lockHeight/lockTime 为时间锁，0 表示不限制
+// asset 为代币标识，不提供时转账原生币
+// amount 和 fee 以最小单位计（BigInt 或十进制整数字符串），可以用 amount.js 的 parseAmount 从 "10.5" 换算
+// chainId 为目标网络的链标识，可以通过 GET /api/network 获取
+function createSignedTransaction({
+  privateKey,
+  chainId,
+  toAddress,
+  amount,
+  asset = null,
+  nonce,
+  fee = 0n,
+  lockHeight = 0,
+  lockTime = 0,
+  timestamp = Date.now()
+}) {
+  if (!toAddress) {
+    throw new Error('接收方地址必须提供');
+  }
+  if (!chainId) {
+    throw new Error('链标识必须提供');
+  }
+  const amountUnits = parseBaseUnits(amount);
+  const feeUnits = parseBaseUnits(fee);
+  if (amountUnits === 0n) {
+    throw new Error('金额必须是正数');
+  }
+  if (!Number.isInteger(nonce) || nonce < 0) {
+    throw new Error('nonce必须是非负整数');
+  }
+  if (!Number.isInteger(lockHeight) || lockHeight < 0 || !Number.isInteger(lockTime) || lockTime < 0) {
+    throw new Error('时间锁必须是非负整数');
+  }
+
+  const tx = {
+    version: TRANSACTION_VERSION,
+    chainId,
+    fromAddress: getAddressFromPrivateKey(privateKey),
+    toAddress,
+    amount: amountUnits.toString(),
+    asset,
+    fee: feeUnits.toString(),
+    nonce,
+    lockHeight,
+    lockTime,
+    timestamp
+  };
+
+  const { signature, recovery } = signHash(calculateTransactionHash(tx), privateKey);
+  return { ...tx, signature, recovery };
+}
+
+// 构建并签名一笔代币发行交易，发行量（代币最小单位）记入 toAddress（默认为发行方自己）
+function createSignedIssuance({
+  privateKey,
+  chainId,
+  symbol,
+  name = '',
+  decimals = 0,
+  supply,
+  toAddress,
+  nonce,
+  fee = 0n,
+  timestamp = Date.now()
+}) {
+  if (!chainId) {
+    throw new Error('链标识必须提供');
+  }
+  const token = normalizeTokenMetadata({ symbol, name, decimals });
+  const supplyUnits = parseBaseUnits(supply);
+  const feeUnits = parseBaseUnits(fee);
+  if (!isValidTokenAmount(supplyUnits)) {
+    throw new Error('代币发行量必须是正整数');
+  }
+  if (!Number.isInteger(nonce) || nonce < 0) {
+    throw new Error('nonce必须是非负整数');
+  }
+
+  const fromAddress = getAddressFromPrivateKey(privateKey);
+  const tx = {
+    version: TRANSACTION_VERSION,
+    chainId,
+    type: TRANSACTION_TYPE_ISSUE,
+    fromAddress,
+    toAddress: toAddress || fromAddress,
+    amount: supplyUnits.toString(),
+    asset: getAssetId(fromAddress, nonce),
+    token,
+    fee: feeUnits.toString(),
+    nonce,
+    timestamp
+  };
+
+  const { signature, recovery } = signHash(calculateTransactionHash(tx), privateKey);
+  return { ...tx, signature, recovery };
+}
+
+// 多签地址的参与者对交易签名，返回的 { signature, recovery } 提交到
+// POST /api/multisig/transactions/:hash/signatures
+function signMultisigTransaction(tx, privateKey) {
+  return signHash(calculateTransactionHash(tx), privateKey);
+}
+
+// 撤销自己的待处理交易，返回的 { signature, recovery } 提交到 POST /api/transactions/:hash/cancel
+// 多签地址的每个参与者各自签名，收集到 signatures 数组中一起提交
+function signCancelRequest(txHash, privateKey) {
+  return signHash(hashCancelRequest(txHash), privateKey);
+}
+
+module.exports = {
+  calculateTransactionHash,
+  getAddressFromPublicKey,
+  getAddressFromPrivateKey,
+  signHash,
+  createSignedTransaction,
+  createSignedIssuance,
+  signMultisigTransaction,
+  signCancelRequest
+};
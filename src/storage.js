@@ -0,0 +1,115 @@
+// blockchain-server/src/storage.js
+const fs = require('fs');
+const path = require('path');
+const { canonicalize } = require('./serialization');
+
+// 区块文件名补齐位数，保证按文件名排序即按高度排序
+const BLOCK_FILE_DIGITS = 12;
+
+// 原子写入：先写临时文件再重命名，避免进程中断留下半个文件；mode 为新文件的权限，不提供时使用默认权限
+function writeFileAtomic(file, data, mode) {
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, data, { mode });
+  fs.renameSync(tmpFile, file);
+}
+
+// 基于本地文件的区块链存储
+// 目录结构:
+//   <dataDir>/blocks/000000000001.json  每个区块一个文件
+//   <dataDir>/pending.json              待处理交易池
+//   <dataDir>/partial.json              收集签名中的多签交易
+class ChainStorage {
+  constructor(dataDir) {
+    if (!dataDir) {
+      throw new Error('必须提供数据目录');
+    }
+
+    this.dataDir = dataDir;
+    this.blocksDir = path.join(dataDir, 'blocks');
+    this.pendingFile = path.join(dataDir, 'pending.json');
+    this.partialFile = path.join(dataDir, 'partial.json');
+
+    fs.mkdirSync(this.blocksDir, { recursive: true });
+  }
+
+  // 区块文件路径
+  blockFile(index) {
+    return path.join(this.blocksDir, `${String(index).padStart(BLOCK_FILE_DIGITS, '0')}.json`);
+  }
+
+  writeJSON(file, data) {
+    writeFileAtomic(file, canonicalize(data));
+  }
+
+  readJSON(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`读取存储文件失败 ${path.basename(file)}: ${error.message}`);
+    }
+  }
+
+  // 保存单个区块
+  saveBlock(block) {
+    this.writeJSON(this.blockFile(block.index), block);
+  }
+
+  // 整条链替换时重写从 fromIndex 开始的区块（之前的区块未变），并删除多余的旧区块文件
+  saveChain(chain, fromIndex = 0) {
+    chain.slice(fromIndex).forEach((block) => this.saveBlock(block));
+
+    for (const name of fs.readdirSync(this.blocksDir)) {
+      const match = /^(\d+)\.json$/.exec(name);
+      if (match && Number(match[1]) >= chain.length) {
+        fs.unlinkSync(path.join(this.blocksDir, name));
+      }
+    }
+  }
+
+  // 读取全部区块（按高度排序的普通对象）
+  loadBlocks() {
+    const files = fs
+      .readdirSync(this.blocksDir)
+      .filter((name) => /^\d+\.json$/.test(name))
+      .sort();
+
+    return files.map((name, i) => {
+      const data = this.readJSON(path.join(this.blocksDir, name));
+      if (data.index !== i) {
+        throw new Error(`区块文件缺失或错位: 期望高度 ${i}，实际为 ${data.index}`);
+      }
+      return data;
+    });
+  }
+
+  // 保存待处理交易池
+  savePendingTransactions(transactions) {
+    this.writeJSON(this.pendingFile, transactions);
+  }
+
+  // 读取待处理交易池
+  loadPendingTransactions() {
+    if (!fs.existsSync(this.pendingFile)) {
+      return [];
+    }
+    return this.readJSON(this.pendingFile);
+  }
+
+  // 保存收集签名中的多签交易
+  savePartialTransactions(transactions) {
+    this.writeJSON(this.partialFile, transactions);
+  }
+
+  // 读取收集签名中的多签交易
+  loadPartialTransactions() {
+    if (!fs.existsSync(this.partialFile)) {
+      return [];
+    }
+    return this.readJSON(this.partialFile);
+  }
+}
+
+module.exports = {
+  ChainStorage,
+  writeFileAtomic
+};
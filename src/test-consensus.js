@@ -0,0 +1,127 @@
+// blockchain-server/src/test-consensus.js
+// 共识规则检查：在内存中的链上构造违规区块，检查区块奖励上限、奖励交易数量、奖励交易字段和重复交易的校验
+// 运行: npm run test:consensus
+const { Block, Blockchain, Transaction, Wallet } = require('./blockchain');
+const { loadNetworkConfig } = require('./network');
+const { canonicalize } = require('./serialization');
+const { parseAmount } = require('./amount');
+
+// 按当前的区块模板构造区块，modify 可以改动其中的交易，改动后重新计算 Merkle 根并挖矿
+function buildBlock(blockchain, minerAddress, modify = () => {}) {
+  const block = blockchain.createBlockTemplate(minerAddress);
+  const rewardTx = block.transactions.find((tx) => tx.fromAddress === null);
+  modify(block, rewardTx);
+  block.merkleRoot = block.calculateMerkleRoot();
+  block.nonce = 0;
+  block.mineBlock();
+  return block;
+}
+
+// 区块必须被逐块校验拒绝，接在链上后整条链也必须校验失败
+function expectRejected(blockchain, description, block) {
+  if (blockchain.isValidNextBlock(block, blockchain.getLatestBlock())) {
+    throw new Error(`${description}的区块未被拒绝`);
+  }
+  if (blockchain.isChainValid(blockchain.chain.concat(block))) {
+    throw new Error(`包含${description}的区块的链通过了校验`);
+  }
+  console.log(`✓ 已拒绝${description}的区块`);
+}
+
+function testConsensus() {
+  console.log('=== 共识规则检查 ===\n');
+
+  const network = loadNetworkConfig('devnet');
+  const blockchain = new Blockchain({ network });
+  const senderWallet = new Wallet();
+  const sender = senderWallet.generate();
+  const receiver = new Wallet().generate();
+  const miner = new Wallet().generate();
+
+  // 先给发送方挖一个区块，再提交一笔带手续费的交易，之后的区块模板都包含这笔手续费
+  blockchain.minePendingTransactions(sender.address);
+  const fee = parseAmount('0.5', network.amountDecimals);
+  const transaction = senderWallet.createTransaction(receiver.address, parseAmount('10', network.amountDecimals), blockchain, fee);
+  blockchain.addTransaction(transaction);
+  console.log('✓ 交易池中有一笔手续费为 0.5 的交易');
+
+  const reward = blockchain.getBlockReward(blockchain.chain.length);
+
+  expectRejected(blockchain, '奖励超过补贴与手续费之和', buildBlock(blockchain, miner.address, (block, rewardTx) => {
+    rewardTx.amount += 1n;
+  }));
+
+  expectRejected(blockchain, '包含两笔奖励交易', buildBlock(blockchain, miner.address, (block, rewardTx) => {
+    // 两笔奖励的总额不超过上限，仍然只允许一笔
+    rewardTx.amount -= 1n;
+    const extraTx = new Transaction(null, miner.address, 1n);
+    extraTx.chainId = blockchain.chainId;
+    block.transactions.push(extraTx);
+  }));
+
+  const inflation = parseAmount('1000000', network.amountDecimals);
+  expectRejected(blockchain, '奖励交易带有手续费并按手续费提高金额', buildBlock(blockchain, miner.address, (block, rewardTx) => {
+    rewardTx.fee = inflation;
+    rewardTx.amount += inflation;
+  }));
+
+  expectRejected(blockchain, '奖励交易带有nonce', buildBlock(blockchain, miner.address, (block, rewardTx) => {
+    rewardTx.nonce = 1;
+  }));
+
+  expectRejected(blockchain, '奖励交易带有时间锁', buildBlock(blockchain, miner.address, (block, rewardTx) => {
+    rewardTx.lockHeight = 1;
+  }));
+
+  // 合规的区块：奖励为补贴加上手续费，手续费从发送方转给矿工，流通总量只增加补贴
+  const supplyBefore = blockchain.accountState.totalSupply;
+  blockchain.addBlock(buildBlock(blockchain, miner.address));
+  const minted = blockchain.accountState.totalSupply - supplyBefore;
+  if (minted !== reward) {
+    throw new Error(`流通总量增加 ${blockchain.formatAmount(minted)}，应为区块补贴 ${blockchain.formatAmount(reward)}`);
+  }
+  if (blockchain.getBalanceOfAddress(miner.address) !== reward + fee) {
+    throw new Error(`矿工余额 ${blockchain.formatAmount(blockchain.getBalanceOfAddress(miner.address))}，应为补贴加手续费`);
+  }
+  if (!blockchain.isChainValid()) {
+    throw new Error('合规区块追加后链校验失败');
+  }
+  console.log('✓ 合规区块已追加，流通总量只增加区块补贴:', blockchain.formatAmount(minted));
+
+  // 三笔交易的区块复制最后一笔交易后 Merkle 根和区块哈希都不变，先收到的篡改副本不能顶替真实区块
+  for (let i = 0; i < 2; i++) {
+    blockchain.addTransaction(senderWallet.createTransaction(receiver.address, 1n, blockchain, fee));
+  }
+  const block = buildBlock(blockchain, miner.address);
+  const tampered = Block.fromJSON(JSON.parse(canonicalize(block)));
+  tampered.transactions.push(tampered.transactions[tampered.transactions.length - 1]);
+  if (tampered.calculateMerkleRoot() !== block.merkleRoot || tampered.calculateHash() !== block.hash) {
+    throw new Error('复制最后一笔交易后 Merkle 根应保持不变');
+  }
+  expectRejected(blockchain, '包含重复交易', tampered);
+
+  // 另挖一个同高度的区块接在链上，真实区块和篡改副本都成为分叉区块
+  blockchain.addBlock(buildBlock(blockchain, miner.address));
+  try {
+    blockchain.receiveBlock(tampered, 'peer');
+    throw new Error('包含重复交易的分叉区块被记录');
+  } catch (error) {
+    if (!error.message.includes('重复的交易')) {
+      throw error;
+    }
+  }
+  const result = blockchain.receiveBlock(block, 'peer');
+  if (result !== 'fork') {
+    throw new Error(`真实区块应记为分叉区块，实际结果: ${result}`);
+  }
+  console.log('✓ 已拒绝包含重复交易的分叉区块，同一哈希的真实区块仍被记录');
+
+  console.log('\n=== 检查通过 ===');
+}
+
+try {
+  testConsensus();
+} catch (error) {
+  console.error('\n✗ 检查失败:', error.message);
+  process.exitCode = 1;
+}
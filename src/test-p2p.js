@@ -0,0 +1,140 @@
+// blockchain-server/src/test-p2p.js
+// 双节点联调检查：在本机启动两个节点，检查连接时的链同步、交易广播和区块广播
+// 运行: npm run test:p2p （可用 P2P_TEST_PORT 指定第一个节点的端口，第二个节点使用下一个端口）
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Wallet } = require('./blockchain');
+const { createSignedTransaction } = require('./signer');
+const { parseAmount } = require('./amount');
+
+const BASE_PORT = Number(process.env.P2P_TEST_PORT) || 3101;
+// 等待节点启动或数据传播的最长时间（毫秒）
+const WAIT_TIMEOUT = 20000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function request(url, apiPath, body) {
+  const response = await fetch(`${url}${apiPath}`, {
+    method: body ? 'POST' : 'GET',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(WAIT_TIMEOUT)
+  });
+  const data = await response.json();
+  if (!response.ok || data.success === false) {
+    throw new Error(`${apiPath}: ${data.message || response.status}`);
+  }
+  return data;
+}
+
+// 反复检查直到条件满足，超时抛出错误
+async function waitFor(description, check) {
+  const deadline = Date.now() + WAIT_TIMEOUT;
+  while (Date.now() < deadline) {
+    try {
+      if (await check()) {
+        return;
+      }
+    } catch {
+      // 节点尚未就绪，稍后重试
+    }
+    await sleep(200);
+  }
+  throw new Error(`等待超时: ${description}`);
+}
+
+// 使用独立的数据目录启动一个节点
+function startNode(port, dataDir, peers = []) {
+  const url = `http://localhost:${port}`;
+  const child = spawn(process.execPath, [path.join(__dirname, 'index.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      NODE_URL: url,
+      DATA_DIR: dataDir,
+      PEERS: peers.join(',')
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  return { url, child };
+}
+
+async function getHeight(node) {
+  const { chain } = await request(node.url, '/api/blockchain');
+  return chain.length - 1;
+}
+
+async function testP2P() {
+  console.log('=== 双节点联调检查 ===\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blockchain-p2p-'));
+  const nodes = [];
+
+  try {
+    const nodeA = startNode(BASE_PORT, path.join(tmpDir, 'a'));
+    nodes.push(nodeA);
+    await waitFor('节点A启动', () => request(nodeA.url, '/api/network'));
+    console.log('✓ 节点A已启动:', nodeA.url);
+
+    // 节点A先挖两个区块，节点B连接时需要同步
+    const sender = new Wallet().generate();
+    const receiver = new Wallet().generate();
+    await request(nodeA.url, '/api/mine', { minerAddress: sender.address });
+    await request(nodeA.url, '/api/mine', { minerAddress: sender.address });
+    console.log('✓ 节点A已挖出2个区块');
+
+    const nodeB = startNode(BASE_PORT + 1, path.join(tmpDir, 'b'), [nodeA.url]);
+    nodes.push(nodeB);
+    await waitFor('节点B同步节点A的链', async () => (await getHeight(nodeB)) === 2);
+    console.log('✓ 节点B启动后已同步到高度 2');
+
+    const { peers } = await request(nodeA.url, '/api/peers');
+    if (!peers.includes(nodeB.url)) {
+      throw new Error(`节点A的节点列表中没有节点B: ${peers.join(', ')}`);
+    }
+    console.log('✓ 节点B已在节点A处注册');
+
+    // 在节点A提交交易，应广播到节点B的交易池
+    const { network } = await request(nodeA.url, '/api/network');
+    const { nextNonce } = await request(nodeA.url, `/api/wallet/${sender.address}/nonce`);
+    const transaction = createSignedTransaction({
+      privateKey: sender.privateKey,
+      chainId: network.chainId,
+      toAddress: receiver.address,
+      amount: parseAmount('10', network.amountDecimals),
+      fee: parseAmount('0.01', network.amountDecimals),
+      nonce: nextNonce
+    });
+    const { hash } = await request(nodeA.url, '/api/transaction/signed', transaction);
+    await waitFor('交易广播到节点B', async () => {
+      const { pendingTransactions } = await request(nodeB.url, '/api/transactions/pending');
+      return pendingTransactions.some((tx) => tx.hash === hash);
+    });
+    console.log('✓ 交易已广播到节点B:', hash);
+
+    // 在节点B挖矿，新区块应广播回节点A，交易在两个节点上都得到确认
+    await request(nodeB.url, '/api/mine', { minerAddress: receiver.address });
+    await waitFor('区块广播到节点A', async () => (await getHeight(nodeA)) === 3);
+    const [balanceA, balanceB] = await Promise.all(
+      nodes.map((node) => request(node.url, `/api/wallet/${receiver.address}/balance`))
+    );
+    if (balanceA.balance !== balanceB.balance) {
+      throw new Error(`两个节点的余额不一致: ${balanceA.balance} / ${balanceB.balance}`);
+    }
+    console.log('✓ 区块已广播到节点A，接收方余额一致:', balanceA.balance);
+
+    console.log('\n=== 检查通过 ===');
+  } finally {
+    nodes.forEach((node) => node.child.kill());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+testP2P().catch((error) => {
+  console.error('\n✗ 检查失败:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,443 @@
+// blockchain-server/src/webhooks.js
+// Webhook 通知：其他服务注册回调地址，地址有资金进出或交易达到指定确认数时收到 POST 请求。
+//
+// 两种订阅:
+//   地址订阅  address 字段，交易进入交易池时发送 'address.pending'，
+//             交易所在区块达到 confirmations 个确认时发送 'address.confirmed'
+//   交易订阅  transactionHash 字段，交易达到 confirmations 个确认时发送一次 'transaction.confirmed'，之后订阅结束
+//
+// 请求体是 JSON，请求头 X-Webhook-Signature 为 sha256=HMAC-SHA256(secret, `${timestamp}.${body}`)，
+// timestamp 取自 X-Webhook-Timestamp。非 2xx 响应或请求失败时按退避间隔重试，不跟随重定向。
+// 链重组或节点重启后同一事件可能再次通知，接收方应按投递 id（X-Webhook-Delivery）去重。
+//
+// 回调地址不能指向本机、内网或保留地址（注册时检查地址本身，投递时检查 DNS 解析结果），
+// 防止借助 Webhook 访问节点所在网络的内部服务；本地开发时可以通过 allowPrivateAddresses 放开。
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getDirection } = require('./blockchain');
+const { canonicalize } = require('./serialization');
+const { writeFileAtomic } = require('./storage');
+
+// 最多注册的 Webhook 数量
+const MAX_WEBHOOKS = 100;
+// 确认数上限
+const MAX_CONFIRMATIONS = 100;
+// 每个 Webhook 保留的投递记录条数
+const MAX_DELIVERY_LOG = 100;
+// 回调请求超时时间（毫秒）
+const DELIVERY_TIMEOUT = 5000;
+// 失败后的重试间隔，依次为第 1、2、3、4 次重试（共最多 5 次尝试）
+const DEFAULT_RETRY_DELAYS = [5 * 1000, 30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000];
+const MIN_SECRET_LENGTH = 16;
+// 投递记录变化频繁，合并后写入文件的延迟（毫秒）
+const SAVE_DELAY = 1000;
+// Webhook 文件包含签名密钥，只允许所有者读写
+const WEBHOOK_FILE_MODE = 0o600;
+
+// 本机、内网和保留地址
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// DNS 解析后检查地址，连接使用的正是检查过的地址，解析结果中途变化也无法绕过
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    // 开启 autoSelectFamily 时 Node 以 all: true 调用，返回地址列表
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      callback(new Error(`回调地址解析到内网或保留地址 ${blocked.address}`));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+// 对投递内容签名
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// 回调地址只允许 http 和 https，保留路径和查询参数
+function normalizeWebhookUrl(url, allowPrivateAddresses = false) {
+  if (!url || typeof url !== 'string') {
+    throw new Error('回调地址必须是字符串');
+  }
+
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`不支持的回调协议: ${parsed.protocol}`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new Error('回调地址不能包含用户名或密码');
+  }
+
+  if (!allowPrivateAddresses) {
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+      throw new Error(`回调地址不能指向本机: ${parsed.hostname}`);
+    }
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+      throw new Error(`回调地址不能指向内网或保留地址: ${parsed.hostname}`);
+    }
+  }
+  return parsed.href;
+}
+
+// 发送 POST 请求，返回响应状态码；不跟随重定向
+function postWebhook(url, headers, body, lookup) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const client = parsed.protocol === 'https:' ? https : http;
+    const request = client.request(parsed, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      timeout: DELIVERY_TIMEOUT
+    }, (response) => {
+      // 不关心响应内容，读完后释放连接
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('timeout', () => request.destroy(new Error('回调请求超时')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// 不含密钥的 Webhook 信息
+function describeWebhook(webhook) {
+  const { secret, ...info } = webhook;
+  return info;
+}
+
+class WebhookManager {
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    // 订阅保存到 file（包含签名密钥），投递记录和待重试的投递保存到 deliveriesFile，未提供时只保存在内存中
+    this.file = options.file || null;
+    this.deliveriesFile = options.deliveriesFile || null;
+    this.retryDelays = options.retryDelays || DEFAULT_RETRY_DELAYS;
+    // 是否允许回调本机和内网地址，仅用于本地开发
+    this.allowPrivateAddresses = options.allowPrivateAddresses || false;
+    this.webhooks = new Map();
+    // 投递记录：Webhook id -> 投递列表（最新的在后）
+    this.deliveries = new Map();
+    this.saveTimer = null;
+
+    if (this.file && fs.existsSync(this.file)) {
+      for (const webhook of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+        this.webhooks.set(webhook.id, webhook);
+        this.deliveries.set(webhook.id, []);
+      }
+    }
+    if (this.deliveriesFile && fs.existsSync(this.deliveriesFile)) {
+      this.loadDeliveries(JSON.parse(fs.readFileSync(this.deliveriesFile, 'utf8')));
+    }
+
+    blockchain.on('transaction', (tx) => this.notifyPendingTransaction(tx));
+    blockchain.on('block', (block) => {
+      this.notifyAddressConfirmations(block);
+      this.checkTransactionWebhooks();
+    });
+    blockchain.on('chainReplaced', (chain, { connected }) => {
+      connected.forEach((block) => this.notifyAddressConfirmations(block));
+      this.checkTransactionWebhooks();
+    });
+  }
+
+  save() {
+    if (!this.file) {
+      return;
+    }
+    writeFileAtomic(this.file, canonicalize(Array.from(this.webhooks.values())), WEBHOOK_FILE_MODE);
+  }
+
+  // 恢复投递记录，重启前未完成的投递按原定时间继续重试
+  loadDeliveries(deliveries) {
+    for (const delivery of deliveries) {
+      const webhook = this.webhooks.get(delivery.webhookId);
+      if (!webhook) {
+        continue;
+      }
+      this.deliveries.get(webhook.id).push(delivery);
+      if (delivery.status === 'pending') {
+        this.scheduleAttempt(webhook, delivery, delivery.nextAttemptAt - Date.now());
+      }
+    }
+  }
+
+  // 合并短时间内的多次变化，延迟写入投递记录
+  saveDeliveries() {
+    if (!this.deliveriesFile || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      const deliveries = Array.from(this.deliveries.values()).flat();
+      writeFileAtomic(this.deliveriesFile, canonicalize(deliveries), WEBHOOK_FILE_MODE);
+    }, SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  // 注册 Webhook，返回包含签名密钥的完整信息（密钥只在此时返回）
+  register({ url, address, transactionHash, confirmations = 1, secret }) {
+    if (this.webhooks.size >= MAX_WEBHOOKS) {
+      throw new Error(`Webhook 数量已达上限 ${MAX_WEBHOOKS}`);
+    }
+    if (Boolean(address) === Boolean(transactionHash)) {
+      throw new Error('address 和 transactionHash 必须且只能提供一个');
+    }
+    if (address && !/^[0-9a-f]{64}$/.test(address)) {
+      throw new Error('无效的钱包地址');
+    }
+    if (transactionHash && !/^[0-9a-f]{64}$/.test(transactionHash)) {
+      throw new Error('无效的交易哈希');
+    }
+    if (!Number.isInteger(confirmations) || confirmations < 1 || confirmations > MAX_CONFIRMATIONS) {
+      throw new Error(`确认数必须是 1 到 ${MAX_CONFIRMATIONS} 之间的整数`);
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+      throw new Error(`签名密钥必须是至少 ${MIN_SECRET_LENGTH} 个字符的字符串`);
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: normalizeWebhookUrl(url, this.allowPrivateAddresses),
+      type: address ? 'address' : 'transaction',
+      address: address || null,
+      transactionHash: transactionHash || null,
+      confirmations,
+      status: 'active',
+      createdAt: Date.now(),
+      secret: secret || crypto.randomBytes(32).toString('hex')
+    };
+
+    this.webhooks.set(webhook.id, webhook);
+    this.deliveries.set(webhook.id, []);
+    this.save();
+    console.log(`已注册 Webhook ${webhook.id}: ${webhook.url}`);
+
+    // 交易已经满足确认数时立即通知
+    this.checkTransactionWebhooks();
+    return webhook;
+  }
+
+  remove(id) {
+    if (!this.webhooks.delete(id)) {
+      return false;
+    }
+    this.deliveries.delete(id);
+    this.save();
+    this.saveDeliveries();
+    return true;
+  }
+
+  get(id) {
+    const webhook = this.webhooks.get(id);
+    return webhook ? describeWebhook(webhook) : null;
+  }
+
+  list() {
+    return Array.from(this.webhooks.values()).map(describeWebhook);
+  }
+
+  getCount() {
+    return this.webhooks.size;
+  }
+
+  // 投递记录（最新的在前），Webhook 不存在时返回 null
+  getDeliveries(id) {
+    const deliveries = this.deliveries.get(id);
+    return deliveries ? deliveries.slice().reverse() : null;
+  }
+
+  getActiveWebhooks(type) {
+    return Array.from(this.webhooks.values()).filter(
+      (webhook) => webhook.type === type && webhook.status === 'active'
+    );
+  }
+
+  // 交易进入交易池
+  notifyPendingTransaction(tx) {
+    const hash = tx.calculateHash();
+
+    for (const webhook of this.getActiveWebhooks('address')) {
+      if (tx.fromAddress === webhook.address || tx.toAddress === webhook.address) {
+        this.enqueue(webhook, 'address.pending', {
+          address: webhook.address,
+          direction: getDirection(tx, webhook.address),
+          hash,
+          transaction: tx
+        });
+      }
+    }
+  }
+
+  // tip 成为最新区块时，高度为 tip.index - confirmations + 1 的区块恰好达到订阅的确认数
+  notifyAddressConfirmations(tip) {
+    for (const webhook of this.getActiveWebhooks('address')) {
+      const block = this.blockchain.chain[tip.index - webhook.confirmations + 1];
+      if (!block) {
+        continue;
+      }
+
+      for (const tx of block.transactions) {
+        if (tx.fromAddress === webhook.address || tx.toAddress === webhook.address) {
+          this.enqueue(webhook, 'address.confirmed', {
+            address: webhook.address,
+            direction: getDirection(tx, webhook.address),
+            hash: tx.calculateHash(),
+            blockIndex: block.index,
+            blockHash: block.hash,
+            confirmations: webhook.confirmations,
+            transaction: tx
+          });
+        }
+      }
+    }
+  }
+
+  // 检查交易订阅是否达到确认数，通知后订阅结束
+  checkTransactionWebhooks() {
+    const completed = [];
+
+    for (const webhook of this.getActiveWebhooks('transaction')) {
+      const result = this.blockchain.getTransaction(webhook.transactionHash);
+      if (!result || result.confirmations < webhook.confirmations) {
+        continue;
+      }
+
+      this.enqueue(webhook, 'transaction.confirmed', {
+        hash: webhook.transactionHash,
+        blockIndex: result.blockIndex,
+        blockHash: result.blockHash,
+        confirmations: result.confirmations,
+        transaction: result.transaction
+      });
+      webhook.status = 'completed';
+      completed.push(webhook);
+    }
+
+    if (completed.length > 0) {
+      this.save();
+    }
+  }
+
+  // 创建投递记录并立即发送
+  enqueue(webhook, event, data) {
+    const id = crypto.randomUUID();
+    const createdAt = Date.now();
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      event,
+      status: 'pending',
+      createdAt,
+      attempts: [],
+      nextAttemptAt: createdAt,
+      payload: { id, event, webhookId: webhook.id, createdAt, data }
+    };
+
+    const log = this.deliveries.get(webhook.id);
+    log.push(delivery);
+    if (log.length > MAX_DELIVERY_LOG) {
+      log.shift();
+    }
+
+    this.saveDeliveries();
+    this.attemptDelivery(webhook, delivery);
+    return delivery;
+  }
+
+  scheduleAttempt(webhook, delivery, delay) {
+    setTimeout(() => this.attemptDelivery(webhook, delivery), Math.max(delay, 0)).unref();
+  }
+
+  async attemptDelivery(webhook, delivery) {
+    // 等待重试期间 Webhook 已被删除
+    if (!this.webhooks.has(webhook.id)) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      return;
+    }
+
+    const body = canonicalize(delivery.payload);
+    const timestamp = Date.now();
+    const attempt = { timestamp, statusCode: null, error: null };
+
+    try {
+      // 注册后才放开的地址限制也在投递时重新检查
+      const url = normalizeWebhookUrl(webhook.url, this.allowPrivateAddresses);
+      attempt.statusCode = await postWebhook(url, {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      }, body, this.allowPrivateAddresses ? dns.lookup : publicOnlyLookup);
+      if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+        attempt.error = `回调返回状态码 ${attempt.statusCode}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    delivery.attempts.push(attempt);
+    this.saveDeliveries();
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+      return;
+    }
+
+    const retryDelay = this.retryDelays[delivery.attempts.length - 1];
+    if (retryDelay === undefined) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.warn(`Webhook ${webhook.id} 投递 ${delivery.id} 失败，已放弃: ${attempt.error}`);
+      return;
+    }
+
+    delivery.nextAttemptAt = Date.now() + retryDelay;
+    this.scheduleAttempt(webhook, delivery, retryDelay);
+  }
+}
+
+module.exports = {
+  WebhookManager,
+  signPayload,
+  MAX_WEBHOOKS
+};